@@ -0,0 +1,203 @@
+import http from "node:http";
+import { timingSafeEqual } from "node:crypto";
+import { createLogger, logger as rootLogger, setLogLevel } from "./logger.js";
+
+/**
+ * @fileoverview Authenticated admin HTTP API for runtime control of the ingestion service.
+ *
+ * Served on its own port, separate from the unauthenticated metrics server, and
+ * only started when an admin token is configured. Every request must carry
+ * `Authorization: Bearer <token>`.
+ *
+ * **Endpoints:**
+ * - `GET  /admin/topics`: consumed topics and the reasons each is paused
+ * - `POST /admin/topics/:topic/pause`: pause consumption of a topic
+ * - `POST /admin/topics/:topic/resume`: resume a topic paused through this API
+ * - `POST /admin/batch/flush`: flush the domain event batch immediately
+ * - `GET  /admin/plugins`: loaded normalizers and upserters with message counts
+ * - `POST /admin/plugins/reload`: re-read plugins.yaml and reload changed plugin modules
+ * - `GET  /admin/log-level`: current global log level
+ * - `PUT  /admin/log-level`: change the global log level, body `{ "level": "debug" }`;
+ *   module and plugin loggers follow it unless `LOG_LEVELS` overrides them
+ */
+
+const logger = createLogger("admin");
+
+// ═══════════════════════════════════════════════════════════════════════════════════════════════
+// TYPE DEFINITIONS
+// ═══════════════════════════════════════════════════════════════════════════════════════════════
+
+/**
+ * Message counters for a loaded plugin.
+ */
+export interface PluginStats {
+  messages: number;
+  errors: number;
+}
+
+/**
+ * Operations the admin API exposes; implemented by the service entry-point.
+ */
+export interface AdminActions {
+  topics(): { topic: string; pausedBy: string[] }[];
+  pause(topic: string): void;
+  resume(topic: string): void;
+  flush(): Promise<number>;
+  plugins(): { normalizers: Record<string, PluginStats>; upserters: Record<string, PluginStats> };
+  reloadPlugins(): Promise<unknown>;
+}
+
+/**
+ * Error carrying an HTTP status, thrown by handlers for client errors.
+ */
+class AdminError extends Error {
+  constructor(readonly status: number, message: string) {
+    super(message);
+    this.name = "AdminError";
+  }
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════════════════════
+// REQUEST HELPERS
+// ═══════════════════════════════════════════════════════════════════════════════════════════════
+
+/**
+ * Compares the bearer token in constant time.
+ */
+function authorized(req: http.IncomingMessage, token: string): boolean {
+  const header = req.headers.authorization ?? "";
+  const supplied = Buffer.from(header.startsWith("Bearer ") ? header.slice(7) : "");
+  const expected = Buffer.from(token);
+  return supplied.length === expected.length && timingSafeEqual(supplied, expected);
+}
+
+/**
+ * Reads and parses a small JSON request body.
+ */
+async function readJson(req: http.IncomingMessage): Promise<any> {
+  let raw = "";
+  for await (const chunk of req) {
+    raw += chunk;
+    if (raw.length > 64 * 1024) throw new AdminError(413, "request body too large");
+  }
+  if (!raw) return {};
+  try {
+    return JSON.parse(raw);
+  } catch {
+    throw new AdminError(400, "request body is not valid JSON");
+  }
+}
+
+/**
+ * Decodes a percent-encoded path segment.
+ *
+ * @throws {AdminError} 400 when the segment contains a malformed escape
+ */
+function decodePathSegment(segment: string): string {
+  try {
+    return decodeURIComponent(segment);
+  } catch {
+    throw new AdminError(400, `malformed path segment: ${segment}`);
+  }
+}
+
+/**
+ * Writes a JSON response.
+ */
+function sendJson(res: http.ServerResponse, status: number, body: unknown) {
+  res.writeHead(status, { "Content-Type": "application/json" });
+  res.end(JSON.stringify(body));
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════════════════════
+// ADMIN SERVER
+// ═══════════════════════════════════════════════════════════════════════════════════════════════
+
+/**
+ * Starts the admin HTTP server.
+ *
+ * @param port - Port to listen on
+ * @param token - Shared bearer token required on every request
+ * @param actions - Runtime operations backing the endpoints
+ * @returns HTTP server instance for shutdown handling
+ */
+export function startAdminServer(port: number, token: string, actions: AdminActions) {
+  const knownTopics = () => actions.topics().map((t) => t.topic);
+
+  async function route(req: http.IncomingMessage): Promise<unknown> {
+    const path = (req.url ?? "/").split("?")[0];
+    const method = req.method ?? "GET";
+
+    if (method === "GET" && path === "/admin/topics") {
+      return { topics: actions.topics() };
+    }
+
+    const topicAction = path.match(/^\/admin\/topics\/([^/]+)\/(pause|resume)$/);
+    if (method === "POST" && topicAction) {
+      const topic = decodePathSegment(topicAction[1]);
+      if (!knownTopics().includes(topic)) throw new AdminError(404, `unknown topic: ${topic}`);
+      if (topicAction[2] === "pause") actions.pause(topic);
+      else actions.resume(topic);
+      logger.warn({ topic, action: topicAction[2] }, "admin topic control");
+      return { topics: actions.topics() };
+    }
+
+    if (method === "POST" && path === "/admin/batch/flush") {
+      const flushed = await actions.flush();
+      logger.info({ flushed }, "admin batch flush");
+      return { flushed };
+    }
+
+    if (method === "GET" && path === "/admin/plugins") {
+      return actions.plugins();
+    }
+
+    if (method === "POST" && path === "/admin/plugins/reload") {
+      logger.warn("admin plugin reload");
+      return actions.reloadPlugins();
+    }
+
+    if (path === "/admin/log-level") {
+      if (method === "GET") return { level: rootLogger.level };
+      if (method === "PUT") {
+        const { level } = await readJson(req);
+        if (typeof level !== "string" || !Object.hasOwn(rootLogger.levels.values, level)) {
+          throw new AdminError(400, `invalid log level: ${level}`);
+        }
+        const previous = rootLogger.level;
+        setLogLevel(level);
+        logger.warn({ previous, level }, "admin log level change");
+        return { level };
+      }
+    }
+
+    throw new AdminError(404, "not found");
+  }
+
+  const server = http.createServer(async (req, res) => {
+    if (!authorized(req, token)) {
+      sendJson(res, 401, { error: "unauthorized" });
+      return;
+    }
+    try {
+      sendJson(res, 200, await route(req));
+    } catch (err) {
+      if (err instanceof AdminError) {
+        sendJson(res, err.status, { error: err.message });
+      } else {
+        logger.error({ err }, "admin request failed");
+        sendJson(res, 500, { error: err instanceof Error ? err.message : String(err) });
+      }
+    }
+  });
+
+  // A port conflict disables the admin API instead of crashing the service
+  server.on("error", (err) => {
+    logger.error({ err, port }, "admin API unavailable");
+  });
+  server.listen(port, () => {
+    logger.info({ port }, "admin API listening");
+  });
+
+  return server;
+}
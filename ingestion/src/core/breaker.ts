@@ -0,0 +1,232 @@
+import { createLogger } from "./logger.js";
+import { breakerState, breakerTransitions, breakerRejections } from "./metrics.js";
+
+/**
+ * @fileoverview Circuit breakers for storage backends.
+ *
+ * Every upsert goes through the breaker of its sink's backend (`db` in
+ * plugins.yaml). After `failureThreshold` consecutive transient failures the
+ * breaker opens and rejects calls at once with `CircuitOpenError`; after
+ * `resetTimeoutMs` it lets a single trial call through (half-open), closing on
+ * success and re-opening on failure. Calls made while the trial runs wait for
+ * its outcome rather than being rejected.
+ *
+ * Only failures that show the backend is unreachable, failing or hanging count
+ * (see `isBackendFailure`). Other errors, such as a constraint violation, a Cypher
+ * syntax error or a plugin bug, are the message's or the plugin's fault and must
+ * not stall consumption for every other event. They say nothing about the backend
+ * either way: they leave the failure count as it is, and a half-open trial that
+ * ends in one is inconclusive, so the next call becomes the trial.
+ */
+
+const logger = createLogger("breaker");
+
+// ═══════════════════════════════════════════════════════════════════════════════════════════════
+// TYPE DEFINITIONS
+// ═══════════════════════════════════════════════════════════════════════════════════════════════
+
+export type BreakerState = "closed" | "open" | "half_open";
+
+/** Value of the `ingestion_circuit_breaker_state` gauge per state */
+const STATE_GAUGE: Record<BreakerState, number> = { closed: 0, half_open: 1, open: 2 };
+
+/**
+ * Circuit breaker settings.
+ */
+export interface CircuitBreakerOptions {
+  /** Consecutive failures that open the breaker */
+  failureThreshold: number;
+  /** Time the breaker stays open before allowing a trial call */
+  resetTimeoutMs: number;
+  /** Decides whether an error counts as a backend failure (default: `isBackendFailure`) */
+  isFailure?: (err: unknown) => boolean;
+  /** Invoked on every state change, after metrics are updated */
+  onStateChange?: (state: BreakerState, previous: BreakerState) => void;
+}
+
+/**
+ * Circuit breaker handle.
+ */
+export interface CircuitBreaker {
+  /** Backend name, used as the `backend` metric label */
+  readonly name: string;
+  readonly state: BreakerState;
+  /**
+   * Runs `fn` unless the breaker is open, recording its outcome.
+   * @throws {CircuitOpenError} When the breaker is open, or the half-open trial failed
+   */
+  execute<T>(fn: () => Promise<T>): Promise<T>;
+  /** Cancels the pending half-open transition */
+  dispose(): void;
+}
+
+/**
+ * Raised instead of calling a backend whose breaker is open.
+ */
+export class CircuitOpenError extends Error {
+  /** Read by `isRetryable`; retrying before the reset timeout is pointless */
+  readonly retryable = false;
+
+  constructor(readonly backend: string) {
+    super(`Circuit breaker for ${backend} is open`);
+    this.name = "CircuitOpenError";
+  }
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════════════════════
+// FAILURE CLASSIFICATION
+// ═══════════════════════════════════════════════════════════════════════════════════════════════
+
+/** Neo4j error codes for a lost or unreachable database */
+const NEO4J_UNAVAILABLE_CODES = new Set([
+  "ServiceUnavailable",
+  "SessionExpired",
+  "Neo.TransientError.General.DatabaseUnavailable"
+]);
+
+/** Node.js socket and DNS error codes */
+const NETWORK_ERROR_CODES = new Set([
+  "ECONNREFUSED",
+  "ECONNRESET",
+  "ETIMEDOUT",
+  "EHOSTUNREACH",
+  "ENETUNREACH",
+  "ENOTFOUND",
+  "EAI_AGAIN",
+  "EPIPE",
+  "UND_ERR_CONNECT_TIMEOUT",
+  "UND_ERR_SOCKET"
+]);
+
+/** Client-side timeouts of the storage SDKs, and plugin calls timing out on a hung backend */
+const TIMEOUT_ERROR_NAMES = new Set(["TimeoutError", "QdrantClientTimeoutError", "PluginTimeoutError"]);
+
+/**
+ * Default breaker failure classification: true only for errors showing the backend
+ * is unreachable or failing.
+ *
+ * - Neo4j `ServiceUnavailable`, `SessionExpired` and database-unavailable errors
+ * - Connection errors (`ECONNREFUSED`, `ETIMEDOUT`, DNS failures, ...), including when
+ *   wrapped as the `cause` of another error (e.g. `fetch failed`)
+ * - SDK client timeouts, and `PluginTimeoutError` from an upserter waiting on the backend
+ * - HTTP 5xx responses from S3/MinIO (`$metadata.httpStatusCode`) and Qdrant (`status`)
+ * - An `AggregateError` when any of its errors is one of the above
+ *
+ * Anything else, notably constraint violations and plugin bugs, is not a backend failure.
+ *
+ * @param err - Error thrown by the guarded call
+ * @returns True when the error should count towards opening the breaker
+ */
+export function isBackendFailure(err: unknown): boolean {
+  if (!(err instanceof Error)) return false;
+  const e = err as Error & Record<string, any>;
+
+  if (err instanceof AggregateError) return err.errors.some(isBackendFailure);
+  if (typeof e.code === "string" && (NEO4J_UNAVAILABLE_CODES.has(e.code) || NETWORK_ERROR_CODES.has(e.code))) {
+    return true;
+  }
+  if (TIMEOUT_ERROR_NAMES.has(e.name)) return true;
+
+  const status = e.$metadata?.httpStatusCode ?? e.status;
+  if (typeof status === "number" && status >= 500) return true;
+
+  return e.cause !== undefined && e.cause !== err && isBackendFailure(e.cause);
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════════════════════
+// BREAKER
+// ═══════════════════════════════════════════════════════════════════════════════════════════════
+
+/**
+ * Creates a circuit breaker for one backend.
+ *
+ * @param name - Backend name
+ * @param opts - Breaker settings
+ * @returns Circuit breaker, initially closed
+ *
+ * @example
+ * ```typescript
+ * const neo4j = createCircuitBreaker("neo4j", { failureThreshold: 5, resetTimeoutMs: 30000 });
+ * await neo4j.execute(() => session.run(cypher));
+ * ```
+ */
+export function createCircuitBreaker(name: string, opts: CircuitBreakerOptions): CircuitBreaker {
+  const isFailure = opts.isFailure ?? isBackendFailure;
+  let state: BreakerState = "closed";
+  let failures = 0;
+  // Settles once the half-open trial call has completed
+  let trial: Promise<void> | null = null;
+  let resetTimer: NodeJS.Timeout | undefined;
+
+  breakerState.labels(name).set(STATE_GAUGE.closed);
+
+  const transition = (next: BreakerState) => {
+    const previous = state;
+    if (next === previous) return;
+    state = next;
+    trial = null;
+    breakerState.labels(name).set(STATE_GAUGE[next]);
+    breakerTransitions.labels(name, next).inc();
+    const details = { backend: name, state: next, previous, failures };
+    if (next === "open") logger.warn(details, "circuit breaker opened");
+    else logger.info(details, "circuit breaker state changed");
+
+    if (next === "open") {
+      resetTimer = setTimeout(() => transition("half_open"), opts.resetTimeoutMs);
+      resetTimer.unref();
+    }
+    opts.onStateChange?.(next, previous);
+  };
+
+  const onSuccess = () => {
+    failures = 0;
+    if (state === "half_open") transition("closed");
+  };
+
+  const onFailure = () => {
+    failures += 1;
+    if (state === "half_open" || (state === "closed" && failures >= opts.failureThreshold)) {
+      transition("open");
+    }
+  };
+
+  const run = async <T>(fn: () => Promise<T>): Promise<T> => {
+    try {
+      const result = await fn();
+      onSuccess();
+      return result;
+    } catch (err) {
+      // Anything else is the message's or plugin's fault and proves nothing about the backend
+      if (isFailure(err)) onFailure();
+      throw err;
+    }
+  };
+
+  return {
+    name,
+
+    get state() { return state; },
+
+    async execute<T>(fn: () => Promise<T>): Promise<T> {
+      while (state === "half_open" && trial) {
+        const current = trial;
+        await current;
+        // A conclusive trial moves the breaker out of half-open; after an inconclusive one the next caller is the trial
+        if (trial === current) trial = null;
+      }
+
+      if (state === "open") {
+        breakerRejections.labels(name).inc();
+        throw new CircuitOpenError(name);
+      }
+
+      const call = run(fn);
+      if (state === "half_open") trial = call.then(() => undefined, () => undefined);
+      return call;
+    },
+
+    dispose() {
+      clearTimeout(resetTimer);
+    }
+  };
+}
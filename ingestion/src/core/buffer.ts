@@ -0,0 +1,177 @@
+import type { Message } from "kafkajs";
+
+/**
+ * @fileoverview Bounded buffer for domain events awaiting a batch flush.
+ *
+ * Tracks every buffered message until the producer acknowledges it: messages
+ * taken for a flush stay counted as in flight and are either acknowledged or
+ * re-queued at the head of the buffer when the flush fails. Crossing the high
+ * watermark reports saturation so the caller can pause consumption; dropping
+ * back to the low watermark reports that consumption may resume. Pending
+ * messages are also measured in bytes so flushes can be triggered by volume.
+ */
+
+// ═══════════════════════════════════════════════════════════════════════════════════════════════
+// TYPE DEFINITIONS
+// ═══════════════════════════════════════════════════════════════════════════════════════════════
+
+/**
+ * One producer `topicMessages` entry held in the buffer.
+ */
+export interface BatchEntry {
+  topic: string;
+  messages: Message[];
+}
+
+/**
+ * Options for the bounded batch buffer.
+ */
+export interface BatchBufferOptions {
+  /** Message count at which the buffer reports saturation */
+  highWatermark: number;
+  /** Message count at or below which a saturated buffer reports it has drained */
+  lowWatermark: number;
+  /** Invoked whenever the saturation state flips */
+  onSaturationChange?: (saturated: boolean) => void;
+  /** Invoked whenever the message count changes */
+  onSizeChange?: (size: number) => void;
+}
+
+/**
+ * Bounded batch buffer handle.
+ */
+export interface BatchBuffer {
+  /** Messages buffered or in flight */
+  readonly size: number;
+  /** Messages waiting for the next flush */
+  readonly pending: number;
+  /** Approximate encoded size in bytes of the messages waiting for the next flush */
+  readonly pendingBytes: number;
+  /** True between crossing the high watermark and draining to the low watermark */
+  readonly saturated: boolean;
+  /** Appends an entry */
+  push(entry: BatchEntry): void;
+  /** Removes all pending entries for a flush; they stay counted until acknowledged or re-queued */
+  take(): BatchEntry[];
+  /** Marks a flushed set of entries as delivered */
+  ack(entries: BatchEntry[]): void;
+  /** Returns a failed set of entries to the head of the buffer */
+  requeue(entries: BatchEntry[]): void;
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════════════════════
+// BUFFER FACTORY
+// ═══════════════════════════════════════════════════════════════════════════════════════════════
+
+/**
+ * Counts the messages contained in a list of entries.
+ */
+export function countMessages(entries: BatchEntry[]): number {
+  return entries.reduce((acc, e) => acc + e.messages.length, 0);
+}
+
+/**
+ * Approximates the encoded size of an entry from its message keys and values.
+ */
+export function entryBytes(entry: BatchEntry): number {
+  let bytes = 0;
+  for (const m of entry.messages) {
+    if (m.key) bytes += typeof m.key === "string" ? Buffer.byteLength(m.key) : m.key.length;
+    if (m.value) bytes += typeof m.value === "string" ? Buffer.byteLength(m.value) : m.value.length;
+  }
+  return bytes;
+}
+
+/**
+ * Splits entries into consecutive chunks of at most `maxBytes` each, so a large
+ * flush becomes several producer requests instead of one oversized one. An entry
+ * larger than `maxBytes` on its own forms a single-entry chunk.
+ *
+ * @param entries - Entries to split, in order
+ * @param maxBytes - Upper bound on the approximate size of each chunk
+ * @returns Chunks preserving the original entry order
+ */
+export function chunkEntries(entries: BatchEntry[], maxBytes: number): BatchEntry[][] {
+  const chunks: BatchEntry[][] = [];
+  let current: BatchEntry[] = [];
+  let currentBytes = 0;
+
+  for (const entry of entries) {
+    const bytes = entryBytes(entry);
+    if (current.length && currentBytes + bytes > maxBytes) {
+      chunks.push(current);
+      current = [];
+      currentBytes = 0;
+    }
+    current.push(entry);
+    currentBytes += bytes;
+  }
+  if (current.length) chunks.push(current);
+
+  return chunks;
+}
+
+/**
+ * Creates a bounded batch buffer.
+ *
+ * @param opts - Watermarks and state change callbacks
+ * @returns Buffer instance
+ */
+export function createBatchBuffer(opts: BatchBufferOptions): BatchBuffer {
+  const high = Math.max(1, opts.highWatermark);
+  const low = Math.min(Math.max(0, opts.lowWatermark), high - 1);
+  const queue: BatchEntry[] = [];
+  let queued = 0;
+  let queuedBytes = 0;
+  let inFlight = 0;
+  let saturated = false;
+
+  function update() {
+    const size = queued + inFlight;
+    opts.onSizeChange?.(size);
+    if (!saturated && size >= high) {
+      saturated = true;
+      opts.onSaturationChange?.(true);
+    } else if (saturated && size <= low) {
+      saturated = false;
+      opts.onSaturationChange?.(false);
+    }
+  }
+
+  return {
+    get size() { return queued + inFlight; },
+    get pending() { return queued; },
+    get pendingBytes() { return queuedBytes; },
+    get saturated() { return saturated; },
+
+    push(entry) {
+      queue.push(entry);
+      queued += entry.messages.length;
+      queuedBytes += entryBytes(entry);
+      update();
+    },
+
+    take() {
+      const taken = queue.splice(0, queue.length);
+      const count = countMessages(taken);
+      queued -= count;
+      queuedBytes = 0;
+      inFlight += count;
+      return taken;
+    },
+
+    ack(entries) {
+      inFlight -= countMessages(entries);
+      update();
+    },
+
+    requeue(entries) {
+      const count = countMessages(entries);
+      queue.unshift(...entries);
+      inFlight -= count;
+      queued += count;
+      queuedBytes += entries.reduce((acc, e) => acc + entryBytes(e), 0);
+      update();
+    }
+  };
+}
@@ -1,13 +1,20 @@
 import { load } from "js-yaml";
+import { readFileSync } from "node:fs";
 import { readFile } from "node:fs/promises";
+import { extname, resolve } from "node:path";
+import { pathToFileURL } from "node:url";
+import { z } from "zod";
+import { isValidRange } from "./util/version.js";
+import { parseRouteKey } from "./routing.js";
 
 /**
  * @fileoverview Configuration management for the ingestion service.
  * 
  * Handles loading and validation of configuration from multiple sources:
  * - Plugin configuration from YAML files
- * - Environment variables for service connections and settings
- * - Default values and validation for all required parameters
+ * - Service settings layered from schema defaults, an optional YAML/JSON config
+ *   file and environment variables (with `_FILE` variants for Docker secrets)
+ * - Validation of every setting against one Zod schema, reporting all errors at once
  */
 
 // ═══════════════════════════════════════════════════════════════════════════════════════════════
@@ -15,50 +22,113 @@ import { readFile } from "node:fs/promises";
 // ═══════════════════════════════════════════════════════════════════════════════════════════════
 
 /**
- * Plugin configuration structure loaded from plugins.yaml.
- * Maps tool names to normalizer modules and event types to upserter modules.
+ * Fields shared by normalizer and upserter entries.
+ */
+const pluginEntryFields = {
+  /** Module path relative to the build root, without extension */
+  module: z.string().min(1),
+  /** Disabled plugins stay configured but are not loaded */
+  enabled: z.boolean().default(true),
+  /** Plugin-specific settings, passed to the plugin on every call */
+  config: z.record(z.unknown()).default({}),
+  /** Version range the plugin handles: raw `schemaVersion` for normalizers, `specVersion` for upserters */
+  versions: z.string().refine(isValidRange, { message: "Invalid version range" }).optional(),
+  /** Maximum concurrent invocations across all partitions (default: unlimited) */
+  concurrency: z.number().int().positive().optional(),
+  /** Per-call timeout in milliseconds (normalizers default to `NORMALIZER_TIMEOUT_MS`, upserters to none) */
+  timeoutMs: z.number().int().positive().optional()
+};
+
+/** A bare string is shorthand for `{ module: <string> }` with all defaults. */
+const expandShorthand = (entry: unknown) => (typeof entry === "string" ? { module: entry } : entry);
+
+/**
+ * Settings for a normalizer entry in plugins.yaml.
+ */
+export const PluginEntrySchema = z.preprocess(expandShorthand, z.object(pluginEntryFields).strict());
+export type PluginEntry = z.infer<typeof PluginEntrySchema>;
+
+/**
+ * Settings for one upserter (sink) of an event type.
+ */
+export const UpserterEntrySchema = z.preprocess(
+  expandShorthand,
+  z.object({
+    ...pluginEntryFields,
+    /** Storage backend written to, used as the `db` metric label (default: "neo4j") */
+    db: z.string().min(1).default("neo4j"),
+    /** Sink name, unique per event type (default: the `db` value) */
+    sink: z.string().regex(/^[\w.-]+$/, "Sink names may only contain letters, digits, '_', '.' and '-'").optional()
+  }).strict().transform((entry) => ({ ...entry, sink: entry.sink ?? entry.db }))
+);
+export type UpserterEntry = z.infer<typeof UpserterEntrySchema>;
+
+/**
+ * Upserters for one event type: a single entry or a list of sinks, each run independently.
+ */
+const UpserterListSchema = z.preprocess(
+  (value) => (Array.isArray(value) ? value : [value]),
+  z.array(UpserterEntrySchema).min(1).superRefine((entries, ctx) => {
+    const seen = new Set<string>();
+    entries.forEach((entry, i) => {
+      if (seen.has(entry.sink)) {
+        ctx.addIssue({ code: z.ZodIssueCode.custom, path: [i, "sink"], message: `Duplicate sink name "${entry.sink}"; set a unique sink` });
+      }
+      seen.add(entry.sink);
+    });
+  })
+);
+
+/**
+ * Routing key: an exact name, a glob, a `/regex/flags`, or the catch-all `*` (see core/routing.ts).
+ */
+const RouteKeySchema = z.string().min(1).superRefine((key, ctx) => {
+  try {
+    parseRouteKey(key);
+  } catch (err) {
+    ctx.addIssue({ code: z.ZodIssueCode.custom, message: err instanceof Error ? err.message : String(err) });
+  }
+});
+
+/**
+ * Schema for plugins.yaml.
+ * Maps tool names to normalizer entries and event types to one or more upserter entries;
+ * keys may be patterns.
+ */
+export const PluginConfigSchema = z.object({
+  normalizers: z.record(RouteKeySchema, PluginEntrySchema).nullish().transform((v) => v ?? {}),
+  upserters: z.record(RouteKeySchema, UpserterListSchema).nullish().transform((v) => v ?? {})
+}).strict();
+
+/**
+ * Plugin configuration loaded from plugins.yaml.
  */
 export interface PluginConfig {
-  pluginMap: {
-    normalizers: Record<string, string>;
-    upserters: Record<string, string>;
-  };
+  pluginMap: z.infer<typeof PluginConfigSchema>;
 }
 
 /**
- * Complete environment configuration with typed sections for each service.
- */
-export interface EnvConfig {
-  kafka: {
-    brokers: string[];
-    groupId: string;
-    rawTopic: string;
-    domainTopic: string;
-    dlqTopic: string;
-    username: string;
-    password: string;
-    saslMechanism: string;
-  };
-  neo4j: {
-    uri: string;
-    user: string;
-    password: string;
-  };
-  metrics: {
-    port: number;
-  };
-  minio: {
-    endpoint: string;
-    accessKeyId: string;
-    secretAccessKey: string;
-  };
-  qdrant: {
-    url: string;
-    apiKey: string;
-  };
-  batch: {
-    flushMs: number;
-  };
+ * What happens to messages no plugin is routed for: discarded, dead-lettered,
+ * or parked unchanged on the unrouted topic for later reprocessing.
+ */
+export type UnroutedPolicy = EnvConfig["unrouted"]["policy"];
+
+/**
+ * Where trace spans are exported to (see core/tracing.ts).
+ */
+export type TracingExporter = EnvConfig["tracing"]["exporter"];
+
+/**
+ * Complete service configuration with typed sections for each service.
+ */
+export type EnvConfig = z.infer<typeof EnvConfigSchema>;
+
+/**
+ * Effective configuration and the config file it was read from, if any.
+ */
+export interface LoadedConfig {
+  config: EnvConfig;
+  file: string | null;
 }
 
 // ═══════════════════════════════════════════════════════════════════════════════════════════════
@@ -66,133 +136,490 @@ export interface EnvConfig {
 // ═══════════════════════════════════════════════════════════════════════════════════════════════
 
 /**
- * Loads and parses the plugin configuration from plugins.yaml.
+ * Location of plugins.yaml: `PLUGINS_CONFIG` when set, else the copy the build places
+ * next to the compiled core directory.
+ */
+export function pluginConfigUrl(): URL {
+  const file = getConfigSection("plugins").configFile;
+  return file ? pathToFileURL(resolve(file)) : new URL("../config/plugins.yaml", import.meta.url);
+}
+
+/**
+ * Loads, parses and validates the plugin configuration from plugins.yaml.
  * 
  * @returns Promise resolving to validated plugin configuration
- * @throws {Error} When plugins.yaml is missing, unreadable, or contains invalid YAML
+ * @throws {Error} When plugins.yaml is missing, unreadable, contains invalid YAML,
+ * or does not match the schema; the message lists every offending field
  */
 export async function loadPluginConfig(): Promise<PluginConfig> {
-  const plugRaw = await readFile(new URL("../config/plugins.yaml", import.meta.url), "utf8");
-  const pluginMap = load(plugRaw) as any;
-  return { pluginMap } as PluginConfig;
+  const plugRaw = await readFile(pluginConfigUrl(), "utf8");
+
+  let parsed: unknown;
+  try {
+    parsed = load(plugRaw);
+  } catch (err) {
+    throw new Error(`plugins.yaml is not valid YAML: ${err instanceof Error ? err.message : String(err)}`);
+  }
+
+  const result = PluginConfigSchema.safeParse(parsed ?? {});
+  if (!result.success) {
+    const issues = result.error.issues.map((i) => `  - ${i.path.join(".") || "(root)"}: ${i.message}`);
+    throw new Error(`plugins.yaml is invalid:\n${issues.join("\n")}`);
+  }
+
+  return { pluginMap: result.data };
 }
 
 // ═══════════════════════════════════════════════════════════════════════════════════════════════
-// ENVIRONMENT CONFIGURATION
+// SERVICE CONFIGURATION SCHEMA
 // ═══════════════════════════════════════════════════════════════════════════════════════════════
 
+const LOG_LEVELS = ["trace", "debug", "info", "warn", "error", "fatal", "silent"] as const;
+
+/** A config section; sections missing from every source are parsed from `{}` so their defaults apply */
+const section = <T extends z.ZodRawShape>(shape: T) => z.preprocess((v) => v ?? {}, z.object(shape).strict());
+
+/** Non-empty string, required unless a default is given */
+const text = () => z.string().min(1);
+
+/** Positive integer; a number in the config file, a string in the environment */
+const positiveInt = (fallback: number) => z.coerce.number().int().positive().default(fallback);
+
+/** Spellings of booleans accepted from the environment, compared case-insensitively */
+const FLAG_VALUES: Record<string, boolean> = { true: true, false: false, "1": true, "0": false, yes: true, no: false, on: true, off: false };
+
+/** Boolean; the environment accepts true/false, 1/0, yes/no and on/off in any case */
+const flag = () =>
+  z.preprocess((v) => (typeof v === "string" ? FLAG_VALUES[v.trim().toLowerCase()] ?? v : v), z.boolean()).default(false);
+
+/** List of strings; the environment gives it comma-separated */
+const list = () =>
+  z.preprocess(
+    (v) => (typeof v === "string" ? v.split(",").map((s) => s.trim()).filter(Boolean) : v),
+    z.array(z.string().min(1))
+  );
+
+/** Map of values; the environment gives it as `key=value,...`, split at the first `=` */
+const keyValues = <T extends z.ZodTypeAny>(value: T) =>
+  z.preprocess(
+    (v) => typeof v === "string"
+      ? Object.fromEntries(v.split(",").map((e) => e.trim()).filter(Boolean).map((e) => {
+          const at = e.indexOf("=");
+          return at < 0 ? [e, ""] : [e.slice(0, at).trim(), e.slice(at + 1).trim()];
+        }))
+      : v,
+    z.record(value)
+  );
+
 /**
- * Loads and validates environment configuration with appropriate defaults.
- * 
- * @returns Complete environment configuration object
- * @throws {Error} When required environment variables are missing
- * 
- * **Required Environment Variables:**
+ * Schema of the service configuration. Every field can be set in the config file
+ * under its section, or through the environment variable listed in `ENV_VARS`.
+ */
+export const EnvConfigSchema = z.object({
+  kafka: section({
+    brokers: list().pipe(z.array(z.string()).min(1)),
+    username: text(),
+    password: text(),
+    saslMechanism: text().default("scram-sha-256"),
+    groupId: text().default("normalizer-group"),
+    rawTopic: text().default("tasks.raw-output"),
+    domainTopic: text().default("events.domain"),
+    dlqTopic: text().default("events.dlq"),
+    unroutedTopic: text().default("events.unrouted"),
+    partitionConcurrency: positiveInt(3),
+    exactlyOnce: flag(),
+    /** Prefix of the per-partition transactional ids; defaults to the consumer group id */
+    transactionalIdPrefix: text().optional(),
+    useLegacyPartitioner: flag()
+  }),
+  neo4j: section({
+    uri: text(),
+    user: text(),
+    password: text()
+  }),
+  metrics: section({
+    port: positiveInt(9100),
+    lagPollMs: positiveInt(15000)
+  }),
+  admin: section({
+    port: positiveInt(9101),
+    token: z.string().default("")
+  }),
+  minio: section({
+    endpoint: text(),
+    accessKeyId: text(),
+    secretAccessKey: text()
+  }),
+  qdrant: section({
+    url: text(),
+    apiKey: text()
+  }),
+  batch: section({
+    flushMs: positiveInt(2000),
+    flushCount: positiveInt(500),
+    flushBytes: positiveInt(524288),
+    maxBytes: positiveInt(900000),
+    highWatermark: positiveInt(10000),
+    lowWatermark: z.coerce.number().int().nonnegative().optional()
+  })
+    .transform((batch) => ({ ...batch, lowWatermark: batch.lowWatermark ?? Math.floor(batch.highWatermark / 2) }))
+    .refine((batch) => batch.lowWatermark < batch.highWatermark, {
+      message: "must be lower than highWatermark",
+      path: ["lowWatermark"]
+    }),
+  shutdown: section({
+    timeoutMs: positiveInt(8000),
+    closeTimeoutMs: positiveInt(10000)
+  }),
+  breaker: section({
+    failureThreshold: positiveInt(5),
+    resetTimeoutMs: positiveInt(30000),
+    maxDeferrals: positiveInt(5)
+  }),
+  unrouted: section({
+    policy: z.enum(["drop", "dlq", "park"]).default("drop")
+  }),
+  tracing: section({
+    exporter: z.enum(["none", "otlp", "console", "file"]).default("none"),
+    filePath: text().default("traces.jsonl"),
+    serviceName: text().default("ingestion"),
+    /** OTLP/HTTP collector base URL; `/v1/traces` is appended */
+    otlpEndpoint: text().default("http://localhost:4318"),
+    /** Full OTLP/HTTP traces URL, used as is; overrides `otlpEndpoint` */
+    otlpTracesEndpoint: text().optional(),
+    /** Headers sent to the collector, e.g. for authentication; values may be URL-encoded */
+    otlpHeaders: keyValues(z.string().transform((v) => {
+      try {
+        return decodeURIComponent(v);
+      } catch {
+        return v;
+      }
+    })).default({})
+  }),
+  plugins: section({
+    configFile: text().optional(),
+    watch: flag(),
+    normalizerTimeoutMs: positiveInt(10000),
+    retireTimeoutMs: positiveInt(30000)
+  }),
+  log: section({
+    level: z.enum(LOG_LEVELS).default("info"),
+    /** Per-module levels; the environment gives them as `module=level,...` */
+    levels: keyValues(z.enum(LOG_LEVELS)).default({}),
+    pretty: flag(),
+    file: text().optional(),
+    fileSize: text().default("50m"),
+    fileCount: positiveInt(7),
+    redact: list().default([])
+  })
+}).strict();
+
+/**
+ * Environment variable for each configuration field. `<NAME>_FILE` may be set
+ * instead to read the value from a file, e.g. a Docker secret.
+ */
+const ENV_VARS: Record<string, string> = {
+  KAFKA_BROKERS_INTERNAL: "kafka.brokers",
+  KAFKA_USERNAME: "kafka.username",
+  KAFKA_PASSWORD: "kafka.password",
+  KAFKA_SASL_MECHANISM: "kafka.saslMechanism",
+  KAFKA_GROUP_ID: "kafka.groupId",
+  RAW_TOPIC: "kafka.rawTopic",
+  DOMAIN_TOPIC: "kafka.domainTopic",
+  DLQ_TOPIC: "kafka.dlqTopic",
+  UNROUTED_TOPIC: "kafka.unroutedTopic",
+  KAFKA_PARTITION_CONCURRENCY: "kafka.partitionConcurrency",
+  KAFKA_EXACTLY_ONCE: "kafka.exactlyOnce",
+  KAFKA_TRANSACTIONAL_ID_PREFIX: "kafka.transactionalIdPrefix",
+  KAFKA_USE_LEGACY_PARTITIONER: "kafka.useLegacyPartitioner",
+  NEO4J_URI: "neo4j.uri",
+  NEO4J_USER: "neo4j.user",
+  NEO4J_PASSWORD: "neo4j.password",
+  METRICS_PORT: "metrics.port",
+  LAG_POLL_MS: "metrics.lagPollMs",
+  ADMIN_PORT: "admin.port",
+  ADMIN_TOKEN: "admin.token",
+  MINIO_URL: "minio.endpoint",
+  MINIO_ROOT_USER: "minio.accessKeyId",
+  MINIO_ROOT_PASSWORD: "minio.secretAccessKey",
+  QDRANT_URL: "qdrant.url",
+  QDRANT_API_KEY: "qdrant.apiKey",
+  BATCH_FLUSH_MS: "batch.flushMs",
+  BATCH_FLUSH_COUNT: "batch.flushCount",
+  BATCH_FLUSH_BYTES: "batch.flushBytes",
+  BATCH_MAX_BYTES: "batch.maxBytes",
+  BATCH_HIGH_WATERMARK: "batch.highWatermark",
+  BATCH_LOW_WATERMARK: "batch.lowWatermark",
+  SHUTDOWN_TIMEOUT_MS: "shutdown.timeoutMs",
+  SHUTDOWN_CLOSE_TIMEOUT_MS: "shutdown.closeTimeoutMs",
+  BREAKER_FAILURE_THRESHOLD: "breaker.failureThreshold",
+  BREAKER_RESET_MS: "breaker.resetTimeoutMs",
+  BREAKER_MAX_DEFERRALS: "breaker.maxDeferrals",
+  UNROUTED_POLICY: "unrouted.policy",
+  TRACING_EXPORTER: "tracing.exporter",
+  TRACING_FILE: "tracing.filePath",
+  OTEL_SERVICE_NAME: "tracing.serviceName",
+  OTEL_EXPORTER_OTLP_ENDPOINT: "tracing.otlpEndpoint",
+  OTEL_EXPORTER_OTLP_TRACES_ENDPOINT: "tracing.otlpTracesEndpoint",
+  OTEL_EXPORTER_OTLP_HEADERS: "tracing.otlpHeaders",
+  PLUGINS_CONFIG: "plugins.configFile",
+  PLUGINS_WATCH: "plugins.watch",
+  NORMALIZER_TIMEOUT_MS: "plugins.normalizerTimeoutMs",
+  PLUGINS_RETIRE_TIMEOUT_MS: "plugins.retireTimeoutMs",
+  LOG_LEVEL: "log.level",
+  LOG_LEVELS: "log.levels",
+  LOG_PRETTY: "log.pretty",
+  LOG_FILE: "log.file",
+  LOG_FILE_SIZE: "log.fileSize",
+  LOG_FILE_COUNT: "log.fileCount",
+  LOG_REDACT: "log.redact"
+};
+
+/** Fields replaced by `[REDACTED]` when the configuration is printed */
+const SECRET_FIELDS = [
+  "kafka.password",
+  "neo4j.password",
+  "minio.secretAccessKey",
+  "qdrant.apiKey",
+  "admin.token",
+  "tracing.otlpHeaders"
+];
+
+// ═══════════════════════════════════════════════════════════════════════════════════════════════
+// SERVICE CONFIGURATION LOADING
+// ═══════════════════════════════════════════════════════════════════════════════════════════════
+
+/**
+ * Loads and validates the service configuration.
+ *
+ * Sources are layered, each overriding the previous one field by field:
+ * 1. Defaults from `EnvConfigSchema`
+ * 2. The YAML or JSON file named by `CONFIG_FILE`, shaped like `EnvConfig`
+ * 3. Environment variables, or their `<NAME>_FILE` variants for Docker secrets
+ *
+ * Empty environment variables count as unset. Boolean variables accept true/false,
+ * 1/0, yes/no and on/off, in any case.
+ *
+ * @param env - Environment to read (default: `process.env`)
+ * @returns Validated configuration and the config file used
+ * @throws {Error} When the config file or a `_FILE` secret cannot be read or parsed, a
+ * variable is set together with its `_FILE` variant, or the merged configuration is
+ * invalid; the message lists every offending field with its environment variable
+ *
+ * **Required Settings:**
  * - `KAFKA_BROKERS_INTERNAL`: Comma-separated Kafka broker addresses
  * - `KAFKA_USERNAME`, `KAFKA_PASSWORD`: Kafka SASL authentication
  * - `NEO4J_URI`, `NEO4J_USER`, `NEO4J_PASSWORD`: Neo4j connection settings
  * - `MINIO_URL`, `MINIO_ROOT_USER`, `MINIO_ROOT_PASSWORD`: MinIO object storage
  * - `QDRANT_URL`, `QDRANT_API_KEY`: Qdrant vector database connection
- * 
- * **Optional Environment Variables:**
+ *
+ * **Optional Settings:**
+ * - `CONFIG_FILE`: YAML (or JSON, by `.json` extension) config file (default: none)
  * - `KAFKA_GROUP_ID`: Consumer group (default: "normalizer-group")
  * - `RAW_TOPIC`: Raw messages topic (default: "tasks.raw-output")
  * - `DOMAIN_TOPIC`: Domain events topic (default: "events.domain")
  * - `DLQ_TOPIC`: Dead letter queue topic (default: "events.dlq")
+ * - `UNROUTED_TOPIC`: Topic unrouted messages are parked on (default: "events.unrouted")
+ * - `UNROUTED_POLICY`: Handling of messages without a matching plugin: drop, dlq or park (default: "drop")
  * - `KAFKA_SASL_MECHANISM`: SASL mechanism (default: "scram-sha-256")
+ * - `KAFKA_PARTITION_CONCURRENCY`: Partitions processed in parallel (default: 3)
+ * - `KAFKA_EXACTLY_ONCE`: Forward raw→domain in Kafka transactions, one transactional producer per raw partition (default: "false")
+ * - `KAFKA_TRANSACTIONAL_ID_PREFIX`: Prefix of the transactional ids `<prefix>-<topic>-<partition>`; the same on
+ *   every instance of the consumer group and unique to it (default: the consumer group id)
+ * - `KAFKA_USE_LEGACY_PARTITIONER`: Use the KafkaJS v1 partitioner (default: "false")
  * - `METRICS_PORT`: Prometheus metrics port (default: 9100)
+ * - `LAG_POLL_MS`: Interval for polling consumer group offsets for lag metrics (default: 15000)
+ * - `TRACING_EXPORTER`: Trace exporter: none, otlp, console or file (default: "none")
+ * - `TRACING_FILE`: Output of the file exporter, one JSON span per line (default: "traces.jsonl")
+ * - `OTEL_SERVICE_NAME`: Service name on exported spans (default: "ingestion")
+ * - `OTEL_EXPORTER_OTLP_ENDPOINT`: OTLP/HTTP collector base URL (default: "http://localhost:4318")
+ * - `OTEL_EXPORTER_OTLP_TRACES_ENDPOINT`: Full traces URL, overriding the base URL (default: base URL + "/v1/traces")
+ * - `OTEL_EXPORTER_OTLP_HEADERS`: Collector request headers, e.g. "authorization=Bearer%20abc" (default: none)
+ * - `ADMIN_PORT`: Admin API port (default: 9101)
+ * - `ADMIN_TOKEN`: Bearer token for the admin API; the API is disabled when unset
  * - `BATCH_FLUSH_MS`: Batch flush interval in milliseconds (default: 2000)
+ * - `BATCH_FLUSH_COUNT`: Buffered events that trigger an immediate flush (default: 500)
+ * - `BATCH_FLUSH_BYTES`: Buffered bytes that trigger an immediate flush (default: 524288)
+ * - `BATCH_MAX_BYTES`: Upper bound per producer request; larger flushes are split (default: 900000)
+ * - `BATCH_HIGH_WATERMARK`: Buffered events at which raw consumption pauses (default: 10000)
+ * - `BATCH_LOW_WATERMARK`: Buffered events at which raw consumption resumes (default: half the high watermark)
+ * - `SHUTDOWN_TIMEOUT_MS`: Deadline for draining in-flight work on shutdown (default: 8000)
+ * - `SHUTDOWN_CLOSE_TIMEOUT_MS`: Deadline for closing connections once draining ends (default: 10000);
+ *   the two together must stay below the container's stop grace period
+ * - `PLUGINS_CONFIG`: plugins.yaml to load, e.g. the source copy in development (default: config/plugins.yaml in the build output)
+ * - `PLUGINS_WATCH`: Reload plugins when plugins.yaml or compiled plugin files change (default: "false")
+ * - `NORMALIZER_TIMEOUT_MS`: Default per-call normalizer timeout (default: 10000)
+ * - `PLUGINS_RETIRE_TIMEOUT_MS`: How long plugin versions replaced by a reload wait for in-flight messages
+ *   before they are shut down regardless (default: 30000)
+ * - `BREAKER_FAILURE_THRESHOLD`: Consecutive upsert failures that open a backend's circuit breaker (default: 5)
+ * - `BREAKER_RESET_MS`: Time a circuit breaker stays open before a trial upsert (default: 30000)
+ * - `BREAKER_MAX_DEFERRALS`: Times one domain event is deferred by an open breaker before it is dead-lettered (default: 5)
+ * - `LOG_LEVEL`: trace, debug, info, warn, error, fatal or silent (default: "info")
+ * - `LOG_LEVELS`: Per-module overrides, e.g. "dlq=debug,plugins=warn,plugin:nmap=trace" (default: none)
+ * - `LOG_PRETTY`: Human-readable colored output instead of JSON, for local development (default: "false")
+ * - `LOG_FILE`: Also write JSON logs to this file, rotated by size and day (default: none)
+ * - `LOG_FILE_SIZE`: Size at which the log file is rotated (default: "50m")
+ * - `LOG_FILE_COUNT`: Rotated files kept next to the active one (default: 7)
+ * - `LOG_REDACT`: Additional comma-separated paths to redact, in Pino path syntax (default: none)
+ *
+ * @example
+ * ```yaml
+ * # CONFIG_FILE=/etc/ingestion/config.yaml; secrets stay in the environment
+ * kafka:
+ *   brokers: [kafka-1:9094, kafka-2:9094]
+ *   partitionConcurrency: 6
+ * batch:
+ *   flushMs: 1000
+ * log:
+ *   levels: { dlq: debug }
+ * ```
  */
-export function getEnvConfig(): EnvConfig {
-  // ═══════════════════════════════════════════════════════════════════════════════════════════
-  // KAFKA CONFIGURATION
-  // ═══════════════════════════════════════════════════════════════════════════════════════════
-  
-  const kafkaBrokers = process.env.KAFKA_BROKERS_INTERNAL;
-  if (!kafkaBrokers) {
-    throw new Error("KAFKA_BROKERS_INTERNAL environment variable is required");
-  }
+export function loadConfig(env: NodeJS.ProcessEnv = process.env): LoadedConfig {
+  const file = env.CONFIG_FILE || null;
+  const result = EnvConfigSchema.safeParse(readSources(env));
+  if (!result.success) throw invalidConfig(result.error.issues);
+  return { config: result.data, file };
+}
 
-  const kafkaUsername = process.env.KAFKA_USERNAME;
-  const kafkaPassword = process.env.KAFKA_PASSWORD;
-  if (!kafkaUsername || !kafkaPassword) {
-    throw new Error("KAFKA_USERNAME and KAFKA_PASSWORD environment variables are required");
-  }
+let loaded: LoadedConfig | undefined;
 
-  // ═══════════════════════════════════════════════════════════════════════════════════════════
-  // NEO4J CONFIGURATION
-  // ═══════════════════════════════════════════════════════════════════════════════════════════
+/** Sections validated on their own by `getConfigSection` before the whole configuration is loaded */
+const sections: Partial<EnvConfig> = {};
+
+/**
+ * Returns the service configuration, loading it from the process environment on first use.
+ * Every core module reads its settings from here, so the whole service sees one configuration.
+ *
+ * @returns Validated configuration (see `loadConfig` for sources and settings)
+ * @throws {Error} When the configuration cannot be loaded (see `loadConfig`)
+ */
+export function getEnvConfig(): EnvConfig {
+  loaded ??= loadConfig();
+  return loaded.config;
+}
 
-  const neo4jUri = process.env.NEO4J_URI;
-  if (!neo4jUri) {
-    throw new Error("NEO4J_URI environment variable is required");
+/**
+ * Returns one section of the service configuration, validating only that section
+ * until the whole configuration is loaded. Modules needed without the full service,
+ * such as the logger (loaded on import) or DLQ replay, read their settings here, so
+ * they do not require the settings of backends they never use.
+ *
+ * @param name - Section name, e.g. "log"
+ * @returns Validated section, from the same sources as `getEnvConfig`
+ * @throws {Error} When the section cannot be loaded (see `loadConfig`)
+ */
+export function getConfigSection<K extends keyof EnvConfig>(name: K): EnvConfig[K] {
+  if (loaded) return loaded.config[name];
+  if (!(name in sections)) {
+    const result = EnvConfigSchema.shape[name].safeParse(readSources(process.env)[name]);
+    if (!result.success) throw invalidConfig(result.error.issues.map((i) => ({ ...i, path: [name, ...i.path] })));
+    sections[name] = result.data as EnvConfig[K];
   }
+  return sections[name]!;
+}
 
-  const neo4jUser = process.env.NEO4J_USER;
-  const neo4jPassword = process.env.NEO4J_PASSWORD;
-  if (!neo4jUser || !neo4jPassword) {
-    throw new Error("NEO4J_USER and NEO4J_PASSWORD environment variables are required");
+/**
+ * Describes the effective configuration for the startup log, with secrets replaced.
+ *
+ * @returns Config file used, if any, and the redacted configuration
+ * @throws {Error} When the configuration cannot be loaded (see `loadConfig`)
+ */
+export function describeConfig(): { file: string | null; config: EnvConfig } {
+  loaded ??= loadConfig();
+  const config = structuredClone(loaded.config);
+  for (const path of SECRET_FIELDS) {
+    const [sectionName, key] = path.split(".");
+    const target = (config as Record<string, Record<string, unknown>>)[sectionName];
+    const value = target[key];
+    // Maps such as tracing.otlpHeaders keep their keys
+    if (isPlainObject(value)) target[key] = Object.fromEntries(Object.keys(value).map((k) => [k, "[REDACTED]"]));
+    else if (value) target[key] = "[REDACTED]";
   }
+  return { file: loaded.file, config };
+}
+
+/**
+ * Merges the config file named by `CONFIG_FILE` with the environment, before validation.
+ */
+function readSources(env: NodeJS.ProcessEnv): Record<string, unknown> {
+  const file = env.CONFIG_FILE || null;
+  return mergeDeep(file ? readConfigFile(file) : {}, readEnv(env));
+}
 
-  // ═══════════════════════════════════════════════════════════════════════════════════════════
-  // MINIO CONFIGURATION
-  // ═══════════════════════════════════════════════════════════════════════════════════════════
+/**
+ * Builds the error for an invalid configuration, naming each field's environment variable.
+ */
+function invalidConfig(issues: z.ZodIssue[]): Error {
+  const envNames = new Map(Object.entries(ENV_VARS).map(([name, path]) => [path, name]));
+  const lines = issues.map((i) => {
+    const path = i.path.join(".");
+    // Issues inside a map such as log.levels name the map's variable
+    const name = envNames.get(path) ?? envNames.get(i.path.slice(0, 2).join("."));
+    return `  - ${path || "(root)"}: ${i.message}${name ? ` (${name})` : ""}`;
+  });
+  return new Error(`Configuration is invalid:\n${lines.join("\n")}`);
+}
 
-  const minioUrl = process.env.MINIO_URL;
-  const minioUser = process.env.MINIO_ROOT_USER;
-  const minioPass = process.env.MINIO_ROOT_PASSWORD;
-  if (!minioUrl || !minioUser || !minioPass) {
-    throw new Error("MINIO_URL, MINIO_ROOT_USER and MINIO_ROOT_PASSWORD environment variables are required");
+/**
+ * Reads the config file, parsing `.json` files as JSON and anything else as YAML.
+ */
+function readConfigFile(path: string): Record<string, unknown> {
+  const format = extname(path) === ".json" ? "JSON" : "YAML";
+  let parsed: unknown;
+  try {
+    const content = readFileSync(path, "utf8");
+    parsed = format === "JSON" ? JSON.parse(content) : load(content);
+  } catch (err) {
+    throw new Error(`Config file ${path} cannot be loaded as ${format}: ${err instanceof Error ? err.message : String(err)}`);
+  }
+  if (parsed == null) return {};
+  if (typeof parsed !== "object" || Array.isArray(parsed)) {
+    throw new Error(`Config file ${path} must contain an object of config sections`);
   }
+  return parsed as Record<string, unknown>;
+}
+
+/**
+ * Collects the settings given in the environment into config sections.
+ */
+function readEnv(env: NodeJS.ProcessEnv): Record<string, unknown> {
+  const config: Record<string, Record<string, unknown>> = {};
+  for (const [name, path] of Object.entries(ENV_VARS)) {
+    const secretFile = env[`${name}_FILE`];
+    if (env[name] && secretFile) {
+      throw new Error(`Set either ${name} or ${name}_FILE, not both`);
+    }
 
-  // ═══════════════════════════════════════════════════════════════════════════════════════════
-  // QDRANT CONFIGURATION
-  // ═══════════════════════════════════════════════════════════════════════════════════════════
+    let value = env[name] || undefined;
+    if (secretFile) {
+      try {
+        // Secret files usually end with a newline that is not part of the value
+        value = readFileSync(secretFile, "utf8").replace(/\r?\n$/, "");
+      } catch (err) {
+        throw new Error(`${name}_FILE (${secretFile}) cannot be read: ${err instanceof Error ? err.message : String(err)}`);
+      }
+    }
+    if (value === undefined) continue;
 
-  const qdrantUrl = process.env.QDRANT_URL;
-  if (!qdrantUrl) {
-    throw new Error("QDRANT_URL environment variable is required");
+    const [sectionName, key] = path.split(".");
+    (config[sectionName] ??= {})[key] = value;
   }
-  
-  const qdrantKey = process.env.QDRANT_API_KEY;
-  if (!qdrantKey) {
-    throw new Error("QDRANT_API_KEY environment variable is required");
+  return config;
+}
+
+/**
+ * Merges `override` into `base`; nested objects are merged, anything else is replaced.
+ */
+function mergeDeep(base: Record<string, unknown>, override: Record<string, unknown>): Record<string, unknown> {
+  const merged: Record<string, unknown> = { ...base };
+  for (const [key, value] of Object.entries(override)) {
+    const current = merged[key];
+    merged[key] = isPlainObject(current) && isPlainObject(value) ? mergeDeep(current, value) : value;
   }
+  return merged;
+}
 
-  // ═══════════════════════════════════════════════════════════════════════════════════════════
-  // RETURN CONFIGURATION OBJECT
-  // ═══════════════════════════════════════════════════════════════════════════════════════════
-
-  return {
-    kafka: {
-      brokers: kafkaBrokers.split(","),
-      groupId: process.env.KAFKA_GROUP_ID || "normalizer-group",
-      rawTopic: process.env.RAW_TOPIC || "tasks.raw-output",
-      domainTopic: process.env.DOMAIN_TOPIC || "events.domain",
-      dlqTopic: process.env.DLQ_TOPIC || "events.dlq",
-      username: kafkaUsername,
-      password: kafkaPassword,
-      saslMechanism: process.env.KAFKA_SASL_MECHANISM || "scram-sha-256"
-    },
-    neo4j: {
-      uri: neo4jUri,
-      user: neo4jUser,
-      password: neo4jPassword
-    },
-    metrics: {
-      port: Number(process.env.METRICS_PORT) || 9100
-    },
-    minio: {
-      endpoint: minioUrl,
-      accessKeyId: minioUser,
-      secretAccessKey: minioPass
-    },
-    qdrant: {
-      url: qdrantUrl,
-      apiKey: qdrantKey
-    },
-    batch: {
-      flushMs: Number(process.env.BATCH_FLUSH_MS) || 2000
-    }
-  };
+/** True for objects that are not arrays */
+function isPlainObject(value: unknown): value is Record<string, unknown> {
+  return typeof value === "object" && value !== null && !Array.isArray(value);
 }
@@ -0,0 +1,302 @@
+import type { IHeaders, KafkaMessage, Message } from "kafkajs";
+import type { EnvConfig } from "./config.js";
+import { createKafkaClient, producerOptions } from "./kafka.js";
+import { createLogger } from "./logger.js";
+import { DlqEnvelopeSchema, DlqHeaders, UnroutedHeaders, type DlqEnvelope, type UnroutedInfo } from "./schemas.js";
+import { traceHeaders } from "./tracing.js";
+import { retry } from "./util/retry.js";
+
+/**
+ * @fileoverview Dead-letter queue record construction and replay tooling.
+ *
+ * Failed messages are published to the DLQ as a JSON `DlqEnvelope` wrapping the
+ * original payload, with the same metadata mirrored into Kafka headers. The
+ * replay helper reads the DLQ, selects entries by error name, tool, or event
+ * type, and re-publishes their original payload to the topic they came from.
+ *
+ * Messages that no plugin handles can instead be parked unchanged on an
+ * "unrouted" topic, tagged with headers saying where they came from and why.
+ *
+ * DLQ and parked records carry the trace context of the span that produced them,
+ * and replayed messages keep the DLQ record's, so a replay joins the original trace.
+ * The envelope keeps the failed message's headers, so a replayed domain event still
+ * carries its `x-lineage-*` headers.
+ */
+
+const logger = createLogger("dlq");
+
+// ═══════════════════════════════════════════════════════════════════════════════════════════════
+// RECORD CONSTRUCTION
+// ═══════════════════════════════════════════════════════════════════════════════════════════════
+
+/**
+ * Converts Kafka message headers to strings for the DLQ envelope.
+ *
+ * @param headers - Headers of the failed message
+ * @returns UTF-8 header values, repeated headers as arrays; undefined when there are none
+ */
+export function envelopeHeaders(headers: IHeaders | undefined): Record<string, string | string[]> | undefined {
+  const entries = Object.entries(headers ?? {})
+    .filter(([, value]) => value !== undefined)
+    .map(([name, value]) => [name, Array.isArray(value) ? value.map(String) : String(value)] as const);
+  return entries.length ? Object.fromEntries(entries) : undefined;
+}
+
+/**
+ * Builds the Kafka message published to the DLQ for a failed source message.
+ *
+ * @param envelope - Envelope describing the failed message (without version/timestamp)
+ * @returns Message with JSON envelope value and metadata headers
+ */
+export function buildDlqRecord(envelope: Omit<DlqEnvelope, "dlqVersion" | "failedAt">): Message {
+  const full: DlqEnvelope = {
+    dlqVersion: 1,
+    failedAt: new Date().toISOString(),
+    ...envelope
+  };
+
+  const headers: Record<string, string> = {
+    ...traceHeaders(),
+    [DlqHeaders.version]: String(full.dlqVersion),
+    [DlqHeaders.sourceTopic]: full.source.topic,
+    [DlqHeaders.sourcePartition]: String(full.source.partition),
+    [DlqHeaders.sourceOffset]: full.source.offset,
+    [DlqHeaders.errorName]: full.error.name,
+    [DlqHeaders.errorMessage]: full.error.message,
+    [DlqHeaders.attempts]: String(full.attempts),
+    [DlqHeaders.failedAt]: full.failedAt
+  };
+  if (full.plugin) headers[DlqHeaders.plugin] = `${full.plugin.kind}:${full.plugin.name}`;
+  if (full.tool) headers[DlqHeaders.tool] = full.tool;
+  if (full.eventType) headers[DlqHeaders.eventType] = full.eventType;
+
+  return {
+    key: full.source.key,
+    value: JSON.stringify(full),
+    headers
+  };
+}
+
+/**
+ * Builds the Kafka message parked on the unrouted topic for a message no plugin handled.
+ *
+ * @param message - Original message
+ * @param source - Topic and partition the message was consumed from
+ * @param info - Routing stage, tool or event type, and reason
+ * @returns Copy of the message with its original key, value and headers plus `x-unrouted-*` headers;
+ * the trace context headers are replaced by the active context's
+ */
+export function buildParkedRecord(
+  message: KafkaMessage,
+  source: { topic: string; partition: number },
+  info: UnroutedInfo
+): Message {
+  return {
+    key: message.key,
+    value: message.value,
+    headers: {
+      ...message.headers,
+      ...traceHeaders(),
+      [UnroutedHeaders.sourceTopic]: source.topic,
+      [UnroutedHeaders.sourcePartition]: String(source.partition),
+      [UnroutedHeaders.sourceOffset]: message.offset,
+      [UnroutedHeaders.stage]: info.stage,
+      [UnroutedHeaders.name]: info.name,
+      [UnroutedHeaders.reason]: info.reason,
+      [UnroutedHeaders.parkedAt]: new Date().toISOString()
+    }
+  };
+}
+
+/**
+ * Parses a consumed DLQ record back into its envelope.
+ *
+ * @param message - Message read from the DLQ topic
+ * @returns Validated envelope, or null for records that predate the envelope format
+ */
+export function parseDlqRecord(message: KafkaMessage): DlqEnvelope | null {
+  if (!message.value) return null;
+  try {
+    const parsed = DlqEnvelopeSchema.safeParse(JSON.parse(message.value.toString("utf8")));
+    return parsed.success ? parsed.data : null;
+  } catch {
+    return null;
+  }
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════════════════════
+// REPLAY
+// ═══════════════════════════════════════════════════════════════════════════════════════════════
+
+/**
+ * Selection and behaviour options for a DLQ replay run.
+ */
+export interface ReplayOptions {
+  /** Kafka settings; the DLQ topic is read with a group derived from `groupId` */
+  kafka: EnvConfig["kafka"];
+  /** Only replay entries whose error name matches */
+  errorName?: string;
+  /** Only replay entries produced from this raw tool */
+  tool?: string;
+  /** Only replay entries for this domain event type */
+  eventType?: string;
+  /** Report matching entries without re-publishing them */
+  dryRun?: boolean;
+  /** Stop once no DLQ record has arrived for this long (default: 30000) */
+  idleTimeoutMs?: number;
+}
+
+/**
+ * Summary of a DLQ replay run.
+ */
+export interface ReplaySummary {
+  scanned: number;
+  matched: number;
+  replayed: number;
+  unreadable: number;
+  /** Selected entries that could not be re-published, even after retries */
+  failed: number;
+  /**
+   * Partitions not read up to the end observed at start when the idle timeout ended the run,
+   * e.g. because compaction or retention removed their last records, with the last offset read
+   */
+  unfinished: { partition: number; endOffset: string; lastRead: string | null }[];
+}
+
+/**
+ * Returns true when an envelope satisfies every filter given in the options.
+ */
+function matches(envelope: DlqEnvelope, opts: ReplayOptions): boolean {
+  if (opts.errorName && envelope.error.name !== opts.errorName) return false;
+  if (opts.tool && envelope.tool !== opts.tool) return false;
+  if (opts.eventType && envelope.eventType !== opts.eventType) return false;
+  return true;
+}
+
+/**
+ * Copies the W3C trace context headers of a DLQ record.
+ */
+function traceContextHeaders(message: KafkaMessage): IHeaders {
+  const headers: IHeaders = {};
+  for (const name of ["traceparent", "tracestate"]) {
+    if (message.headers?.[name] !== undefined) headers[name] = message.headers[name];
+  }
+  return headers;
+}
+
+/**
+ * Replays selected DLQ entries to their original topics.
+ *
+ * Reads the DLQ from the beginning up to the high watermark observed at start,
+ * using a throw-away consumer group that is deleted afterwards so the replay
+ * never interferes with the service's own group. Replayed messages keep their
+ * original key and headers (lineage included), take the DLQ record's trace context,
+ * and carry a header pointing back at the DLQ entry. An entry that cannot be
+ * re-published is counted as failed and the run moves on to the next one.
+ *
+ * A partition is done once the record just below its high watermark has been read.
+ * If that record never arrives (removed by compaction or retention, or a stuck fetch),
+ * the run stops after `idleTimeoutMs` without any record and lists the partitions it
+ * did not finish in `unfinished`.
+ *
+ * @param opts - Replay filters and settings
+ * @returns Promise resolving to a summary of the run
+ * @throws {Error} When the replay consumer cannot start or crashes
+ */
+export async function replayDlq(opts: ReplayOptions): Promise<ReplaySummary> {
+  const { dlqTopic, groupId } = opts.kafka;
+  const kafka = createKafkaClient(opts.kafka);
+  const admin = kafka.admin();
+  const producer = kafka.producer(producerOptions(opts.kafka));
+  const replayGroup = `${groupId}-dlq-replay-${Date.now()}`;
+  const consumer = kafka.consumer({ groupId: replayGroup });
+  const idleTimeoutMs = opts.idleTimeoutMs ?? 30000;
+  const summary: ReplaySummary = { scanned: 0, matched: 0, replayed: 0, unreadable: 0, failed: 0, unfinished: [] };
+  const lastRead = new Map<number, string>();
+  let idleTimer: NodeJS.Timeout | undefined;
+
+  await admin.connect();
+  try {
+    const offsets = await admin.fetchTopicOffsets(dlqTopic);
+    const remaining = new Map(
+      offsets
+        .filter((o) => BigInt(o.high) > BigInt(o.low))
+        .map((o) => [o.partition, BigInt(o.high) - 1n])
+    );
+    if (!remaining.size) return summary;
+
+    await producer.connect();
+    await consumer.connect();
+    await consumer.subscribe({ topic: dlqTopic, fromBeginning: true });
+
+    await new Promise<void>((resolve, reject) => {
+      const resetIdleTimer = () => {
+        clearTimeout(idleTimer);
+        idleTimer = setTimeout(resolve, idleTimeoutMs);
+      };
+      // KafkaJS restarts a crashed consumer on its own, which would leave the replay waiting forever
+      consumer.on(consumer.events.CRASH, ({ payload }) => reject(payload.error));
+      resetIdleTimer();
+      consumer.run({
+        autoCommit: false,
+        eachMessage: async ({ partition, message }) => {
+          resetIdleTimer();
+          lastRead.set(partition, message.offset);
+          const last = remaining.get(partition);
+          if (last === undefined || BigInt(message.offset) > last) return;
+
+          summary.scanned += 1;
+          const envelope = parseDlqRecord(message);
+          if (!envelope) {
+            summary.unreadable += 1;
+          } else if (matches(envelope, opts)) {
+            summary.matched += 1;
+            logger.info({ source: envelope.source, error: envelope.error.name, dryRun: Boolean(opts.dryRun) }, "DLQ entry selected for replay");
+            if (!opts.dryRun) {
+              try {
+                await retry(() => producer.send({
+                  topic: envelope.source.topic,
+                  messages: [{
+                    key: envelope.source.key,
+                    value: envelope.payload,
+                    headers: {
+                      ...envelope.source.headers,
+                      ...traceContextHeaders(message),
+                      [DlqHeaders.replayedFrom]: `${dlqTopic}:${partition}:${message.offset}`
+                    }
+                  }]
+                }));
+                summary.replayed += 1;
+              } catch (err) {
+                summary.failed += 1;
+                logger.error({ err, source: envelope.source, dlqOffset: message.offset }, "DLQ entry replay failed");
+              }
+            }
+          }
+
+          if (BigInt(message.offset) >= last) {
+            remaining.delete(partition);
+            if (!remaining.size) resolve();
+          }
+        }
+      }).catch(reject);
+    });
+
+    summary.unfinished = [...remaining].map(([partition, last]) => ({
+      partition,
+      endOffset: last.toString(),
+      lastRead: lastRead.get(partition) ?? null
+    }));
+    if (summary.unfinished.length) {
+      logger.warn({ idleTimeoutMs, unfinished: summary.unfinished }, "no DLQ records within the idle timeout; stopping with partitions unfinished");
+    }
+  } finally {
+    clearTimeout(idleTimer);
+    await consumer.disconnect().catch(() => undefined);
+    await producer.disconnect().catch(() => undefined);
+    await admin.deleteGroups([replayGroup]).catch(() => undefined);
+    await admin.disconnect();
+  }
+
+  return summary;
+}
@@ -0,0 +1,172 @@
+import type { ServerResponse } from "node:http";
+import type { Consumer, Producer } from "kafkajs";
+import type { RouteHandler } from "./metrics.js";
+import { withoutTracing } from "./tracing.js";
+
+/**
+ * @fileoverview Liveness and readiness reporting for the ingestion service.
+ *
+ * Tracks Kafka consumer group membership and producer connectivity from
+ * KafkaJS instrumentation events, probes the storage backends and plugin
+ * `healthCheck` hooks on demand, and exposes both as JSON handlers for the
+ * metrics HTTP server:
+ * - `/healthz`: liveness — fails only when the consumer has stopped outside of
+ *   a shutdown, i.e. when a restart is the only way to recover
+ * - `/readyz`: readiness — fails while any dependency check fails or the
+ *   service is shutting down, so orchestrators stop routing work to it
+ *
+ * Probes run with tracing suppressed, so frequent readiness checks leave no spans.
+ */
+
+// ═══════════════════════════════════════════════════════════════════════════════════════════════
+// TYPE DEFINITIONS
+// ═══════════════════════════════════════════════════════════════════════════════════════════════
+
+/**
+ * Outcome of a single dependency check.
+ */
+export interface CheckResult {
+  ok: boolean;
+  latencyMs: number;
+  error?: string;
+}
+
+/**
+ * Dependency probe; resolves when the dependency is reachable, rejects otherwise.
+ */
+export type HealthProbe = () => Promise<unknown>;
+
+/**
+ * Inputs for the health reporter.
+ */
+export interface HealthOptions {
+  consumer: Consumer;
+  producers: Record<string, Producer>;
+  /** Storage backend probes keyed by name (e.g. neo4j, qdrant, minio) */
+  probes: Record<string, HealthProbe>;
+  /** Probes for the currently loaded plugins; re-read on every readiness check */
+  pluginProbes?: () => Record<string, HealthProbe>;
+  /** Names of the currently loaded plugins */
+  plugins: () => { normalizers: string[]; upserters: string[] };
+  /** True once graceful shutdown has begun */
+  isShuttingDown: () => boolean;
+  /** Per-probe timeout in milliseconds (default: 2000) */
+  probeTimeoutMs?: number;
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════════════════════
+// HEALTH REPORTER
+// ═══════════════════════════════════════════════════════════════════════════════════════════════
+
+/**
+ * Runs a probe, untraced, with a timeout and measures its latency.
+ */
+async function runProbe(probe: HealthProbe, timeoutMs: number): Promise<CheckResult> {
+  const start = performance.now();
+  let timer: NodeJS.Timeout | undefined;
+  try {
+    await Promise.race([
+      withoutTracing(probe),
+      new Promise((_, reject) => {
+        timer = setTimeout(() => reject(new Error(`timed out after ${timeoutMs}ms`)), timeoutMs);
+      })
+    ]);
+    return { ok: true, latencyMs: Math.round(performance.now() - start) };
+  } catch (err) {
+    return {
+      ok: false,
+      latencyMs: Math.round(performance.now() - start),
+      error: err instanceof Error ? err.message : String(err)
+    };
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+/**
+ * Writes a JSON response.
+ */
+function sendJson(res: ServerResponse, status: number, body: unknown) {
+  res.writeHead(status, { "Content-Type": "application/json" });
+  res.end(JSON.stringify(body));
+}
+
+/**
+ * Creates the liveness and readiness handlers.
+ *
+ * Must be called before `consumer.run()` so that the group join event is observed.
+ *
+ * @param opts - Clients, probes and state accessors to report on
+ * @returns Route handlers for `/healthz` and `/readyz`
+ */
+export function createHealthRoutes(opts: HealthOptions): Record<string, RouteHandler> {
+  const probeTimeoutMs = opts.probeTimeoutMs ?? 2000;
+  const startedAt = Date.now();
+
+  const kafka = {
+    consumerRunning: false,
+    groupMember: false,
+    memberId: null as string | null,
+    producers: {} as Record<string, boolean>
+  };
+
+  const { consumer } = opts;
+  consumer.on(consumer.events.GROUP_JOIN, ({ payload }) => {
+    kafka.consumerRunning = true;
+    kafka.groupMember = true;
+    kafka.memberId = payload.memberId;
+  });
+  consumer.on(consumer.events.REBALANCING, () => {
+    kafka.groupMember = false;
+  });
+  consumer.on(consumer.events.CRASH, ({ payload }) => {
+    kafka.groupMember = false;
+    kafka.consumerRunning = payload.restart;
+  });
+  consumer.on(consumer.events.STOP, () => {
+    kafka.consumerRunning = false;
+    kafka.groupMember = false;
+  });
+  for (const [name, producer] of Object.entries(opts.producers)) {
+    // Producers are connected before the reporter is created
+    kafka.producers[name] = true;
+    producer.on(producer.events.CONNECT, () => { kafka.producers[name] = true; });
+    producer.on(producer.events.DISCONNECT, () => { kafka.producers[name] = false; });
+  }
+
+  const kafkaSnapshot = () => ({ ...kafka, producers: { ...kafka.producers } });
+
+  const healthz: RouteHandler = (_req, res) => {
+    const shuttingDown = opts.isShuttingDown();
+    // A consumer that is not running before it first joined is still starting up
+    const stalled = !shuttingDown && !kafka.consumerRunning && kafka.memberId !== null;
+    sendJson(res, stalled ? 503 : 200, {
+      status: stalled ? "unhealthy" : "ok",
+      uptimeSeconds: Math.round((Date.now() - startedAt) / 1000),
+      shuttingDown,
+      kafka: kafkaSnapshot(),
+      plugins: opts.plugins()
+    });
+  };
+
+  const readyz: RouteHandler = async (_req, res) => {
+    const probes = { ...opts.probes, ...opts.pluginProbes?.() };
+    const entries = await Promise.all(
+      Object.entries(probes).map(async ([name, probe]) => [name, await runProbe(probe, probeTimeoutMs)] as const)
+    );
+    const checks = Object.fromEntries(entries);
+    const shuttingDown = opts.isShuttingDown();
+    const kafkaReady = kafka.groupMember && Object.values(kafka.producers).every(Boolean);
+    const ready = !shuttingDown && kafkaReady && entries.every(([, result]) => result.ok);
+
+    sendJson(res, ready ? 200 : 503, {
+      status: ready ? "ready" : "not_ready",
+      shuttingDown,
+      kafka: kafkaSnapshot(),
+      checks,
+      plugins: opts.plugins()
+    });
+  };
+
+  return { "/healthz": healthz, "/readyz": readyz };
+}
@@ -1,80 +1,80 @@
-import { Kafka, logLevel, Partitioners } from "kafkajs";
+import { Kafka, logLevel, Partitioners, type ProducerConfig } from "kafkajs";
+import type { EnvConfig } from "./config.js";
 
 /**
  * @fileoverview Kafka client initialization and configuration for the ingestion service.
  * 
  * Establishes connections to Kafka brokers with SASL authentication and configures
  * both consumer and producer instances. Supports flexible partitioner configuration
- * and SSL settings for secure communication.
+ * and SSL settings for secure communication. Settings come from the `kafka` section
+ * of the service configuration (see core/config.ts).
  */
 
 // Suppress KafkaJS partitioner deprecation warning
 process.env.KAFKAJS_NO_PARTITIONER_WARNING = "1";
 
 /**
- * Initializes KafkaJS client, consumer, and producer using environment variables.
- * 
- * @returns Promise resolving to connected consumer and producer instances
- * @throws {Error} When required environment variables are missing
- * 
- * **Required Environment Variables:**
- * - `KAFKA_BROKERS_INTERNAL`: Comma-separated list of Kafka broker addresses
- * - `KAFKA_USERNAME`: SASL authentication username
- * - `KAFKA_PASSWORD`: SASL authentication password
- * 
- * **Optional Environment Variables:**
- * - `KAFKA_GROUP_ID`: Consumer group identifier (default: "normalizer-group")
- * - `KAFKA_SASL_MECHANISM`: SASL authentication mechanism (default: "scram-sha-256")
- * - `KAFKA_USE_LEGACY_PARTITIONER`: Use legacy partitioner for message distribution (default: "false")
+ * Creates a KafkaJS client with SASL authentication.
+ *
+ * @param config - Kafka section of the service configuration
+ * @returns Unconnected KafkaJS client
  */
-export async function initKafka() {
-  // ═══════════════════════════════════════════════════════════════════════════════════════════
-  // ENVIRONMENT VALIDATION
-  // ═══════════════════════════════════════════════════════════════════════════════════════════
-  
-  if (!process.env.KAFKA_USERNAME || !process.env.KAFKA_PASSWORD) {
-    throw new Error(
-      "KAFKA_USERNAME and KAFKA_PASSWORD must be set - SASL authentication is required"
-    );
-  }
-
-  if (!process.env.KAFKA_BROKERS_INTERNAL) {
-    throw new Error("KAFKA_BROKERS_INTERNAL environment variable is required");
-  }
-
-  // ═══════════════════════════════════════════════════════════════════════════════════════════
-  // CLIENT CONFIGURATION
-  // ═══════════════════════════════════════════════════════════════════════════════════════════
-
+export function createKafkaClient(config: EnvConfig["kafka"]): Kafka {
   const extra: Record<string, unknown> = {
     sasl: {
-      mechanism: process.env.KAFKA_SASL_MECHANISM || "scram-sha-256",
-      username: process.env.KAFKA_USERNAME,
-      password: process.env.KAFKA_PASSWORD
+      mechanism: config.saslMechanism,
+      username: config.username,
+      password: config.password
     },
     ssl: { rejectUnauthorized: false }
   };
 
-  const kafka = new Kafka({
+  return new Kafka({
     clientId: "ingestion",
-    brokers: process.env.KAFKA_BROKERS_INTERNAL.split(","),
+    brokers: config.brokers,
     logLevel: logLevel.NOTHING,
     ...extra
   });
+}
+
+/**
+ * Builds producer options shared by every producer of the service.
+ *
+ * @param config - Kafka section of the service configuration
+ * @returns Producer options, selecting the legacy partitioner when `useLegacyPartitioner` is set
+ */
+export function producerOptions(config: EnvConfig["kafka"]): ProducerConfig {
+  const producerConfig: ProducerConfig = {};
+  if (config.useLegacyPartitioner) {
+    producerConfig.createPartitioner = Partitioners.LegacyPartitioner;
+  }
+  return producerConfig;
+}
+
+/**
+ * Initializes KafkaJS client, consumer, and producer.
+ * 
+ * Exactly-once forwarding creates its transactional producers from the returned
+ * client, one per raw partition (see core/transactional.ts); the producer returned
+ * here is used for non-transactional publishes such as the DLQ.
+ * 
+ * @param config - Kafka section of the service configuration
+ * @param onCreate - Called with each client's name and disconnect function before it
+ * connects, e.g. to register its shutdown step even if a later connection fails
+ * @returns Promise resolving to the client and the connected consumer and producer
+ * @throws {Error} When a connection to the brokers cannot be established
+ */
+export async function initKafka(config: EnvConfig["kafka"], onCreate?: (name: string, disconnect: () => Promise<void>) => void) {
+  const kafka = createKafkaClient(config);
   
   // ═══════════════════════════════════════════════════════════════════════════════════════════
   // CONSUMER & PRODUCER SETUP
   // ═══════════════════════════════════════════════════════════════════════════════════════════
   
-  const groupId = process.env.KAFKA_GROUP_ID || "normalizer-group";
-  const consumer = kafka.consumer({ groupId });
-  
-  const producerConfig: any = {};
-  if (process.env.KAFKA_USE_LEGACY_PARTITIONER === "true") {
-    producerConfig.createPartitioner = Partitioners.LegacyPartitioner;
-  }
-  
-  const producer = kafka.producer(producerConfig);
+  const consumer = kafka.consumer({ groupId: config.groupId });
+  const producer = kafka.producer(producerOptions(config));
+  onCreate?.("kafka.consumer", () => consumer.disconnect());
+  onCreate?.("kafka.producer", () => producer.disconnect());
   
   // ═══════════════════════════════════════════════════════════════════════════════════════════
   // CONNECTION ESTABLISHMENT
@@ -83,5 +83,5 @@ export async function initKafka() {
   await consumer.connect(); 
   await producer.connect();
   
-  return { consumer, producer };
+  return { kafka, consumer, producer };
 }
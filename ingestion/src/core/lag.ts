@@ -0,0 +1,122 @@
+import type { Consumer, Kafka } from "kafkajs";
+import { createLogger } from "./logger.js";
+import {
+  consumerLag,
+  committedOffset,
+  highWatermark,
+  consumerRebalances,
+  consumerCrashes
+} from "./metrics.js";
+
+/**
+ * @fileoverview Consumer group lag and offset metrics.
+ *
+ * Polls the consumer group's committed offsets and the topics' high watermarks
+ * through the KafkaJS admin client and exports them, with the lag between the
+ * two, per topic and partition. Polling the broker rather than relying on fetch
+ * events keeps lag accurate while consumption is paused or a partition is idle,
+ * which is exactly when it matters for alerting.
+ *
+ * Offsets are reported for the whole group, not only the partitions assigned to
+ * this instance, so aggregate across instances with `max by (topic, partition)`.
+ * Partitions the group has never committed are not reported.
+ *
+ * Also counts consumer group rebalances and consumer crashes from the KafkaJS
+ * instrumentation events.
+ */
+
+const logger = createLogger("lag");
+
+/**
+ * Lag monitor settings.
+ */
+export interface LagMonitorOptions {
+  /** Client the admin connection is created from */
+  kafka: Kafka;
+  /** Running consumer whose instrumentation events are counted */
+  consumer: Consumer;
+  groupId: string;
+  /** Topics the group consumes */
+  topics: string[];
+  /** Poll interval in milliseconds */
+  intervalMs: number;
+}
+
+/**
+ * Lag monitor handle.
+ */
+export interface LagMonitor {
+  /** Polls offsets once and updates the gauges */
+  poll(): Promise<void>;
+  /** Stops polling and disconnects the admin client */
+  stop(): Promise<void>;
+}
+
+/**
+ * Starts polling consumer group offsets and counting group instrumentation events.
+ *
+ * @param opts - Consumer, group, topics and poll interval
+ * @returns Promise resolving to the monitor once its admin client is connected
+ * @throws {Error} When the admin client cannot connect
+ */
+export async function startLagMonitor(opts: LagMonitorOptions): Promise<LagMonitor> {
+  const { consumer, groupId, topics } = opts;
+
+  consumer.on(consumer.events.REBALANCING, () => {
+    consumerRebalances.inc();
+  });
+  consumer.on(consumer.events.CRASH, ({ payload }) => {
+    consumerCrashes.labels(payload.error?.name ?? "Error", String(payload.restart)).inc();
+  });
+
+  const admin = opts.kafka.admin();
+  await admin.connect();
+
+  let polling: Promise<void> | null = null;
+
+  const update = async () => {
+    const [committed, ...watermarks] = await Promise.all([
+      admin.fetchOffsets({ groupId, topics }),
+      ...topics.map((topic) => admin.fetchTopicOffsets(topic))
+    ]);
+
+    topics.forEach((topic, i) => {
+      const group = new Map(
+        (committed.find((c) => c.topic === topic)?.partitions ?? []).map((p) => [p.partition, BigInt(p.offset)])
+      );
+      for (const { partition, high } of watermarks[i]) {
+        const labels = { topic, partition: String(partition) };
+        highWatermark.set(labels, Number(high));
+
+        // -1 means the group has no committed offset for the partition yet
+        const offset = group.get(partition);
+        if (offset === undefined || offset < 0n) continue;
+        committedOffset.set(labels, Number(offset));
+        const lag = BigInt(high) - offset;
+        consumerLag.set(labels, Number(lag > 0n ? lag : 0n));
+      }
+    });
+  };
+
+  const poll = () => {
+    // Overlapping ticks share the poll already running
+    polling ??= update()
+      .catch((err) => logger.warn({ err }, "consumer lag poll failed"))
+      .finally(() => { polling = null; });
+    return polling;
+  };
+
+  const timer = setInterval(() => void poll(), opts.intervalMs);
+  timer.unref();
+  void poll();
+
+  return {
+    poll,
+
+    async stop() {
+      clearInterval(timer);
+      await polling;
+      await admin.disconnect();
+    }
+  };
+}
@@ -0,0 +1,57 @@
+import type { IHeaders } from "kafkajs";
+import { LineageHeaders, type Lineage } from "./schemas.js";
+
+/**
+ * @fileoverview Lineage headers linking domain events to the raw message they came from.
+ *
+ * Every domain event the pipeline produces carries `x-lineage-*` headers naming the
+ * agent run, tool, raw topic/partition/offset, and the normalizer (registry key and
+ * module version) that produced it, plus when it was normalized. Upserters receive
+ * them as `ctx.lineage`, so the nodes and points they write can be traced back to
+ * the exact raw message. The same fields label the per-message logger.
+ */
+
+/**
+ * Serializes lineage into Kafka headers.
+ *
+ * @param lineage - Origin of a domain event
+ * @returns `x-lineage-*` headers
+ */
+export function lineageHeaders(lineage: Lineage): Record<string, string> {
+  return {
+    [LineageHeaders.runId]: lineage.runId,
+    [LineageHeaders.tool]: lineage.tool,
+    [LineageHeaders.sourceTopic]: lineage.sourceTopic,
+    [LineageHeaders.sourcePartition]: String(lineage.sourcePartition),
+    [LineageHeaders.sourceOffset]: lineage.sourceOffset,
+    [LineageHeaders.normalizer]: lineage.normalizer,
+    [LineageHeaders.normalizerVersion]: lineage.normalizerVersion,
+    [LineageHeaders.ingestedAt]: lineage.ingestedAt
+  };
+}
+
+/**
+ * Reads lineage from a consumed domain event's headers.
+ *
+ * @param headers - Kafka message headers
+ * @returns Lineage, or null when the headers are incomplete (e.g. events produced before lineage existed)
+ */
+export function lineageFromHeaders(headers: IHeaders | undefined): Lineage | null {
+  const get = (name: string) => {
+    const value = headers?.[name];
+    return value === undefined || Array.isArray(value) ? undefined : value.toString();
+  };
+
+  const lineage = {
+    runId: get(LineageHeaders.runId),
+    tool: get(LineageHeaders.tool),
+    sourceTopic: get(LineageHeaders.sourceTopic),
+    sourcePartition: Number(get(LineageHeaders.sourcePartition)),
+    sourceOffset: get(LineageHeaders.sourceOffset),
+    normalizer: get(LineageHeaders.normalizer),
+    normalizerVersion: get(LineageHeaders.normalizerVersion),
+    ingestedAt: get(LineageHeaders.ingestedAt)
+  };
+  const complete = Object.values(lineage).every((v) => v !== undefined) && Number.isInteger(lineage.sourcePartition);
+  return complete ? (lineage as Lineage) : null;
+}
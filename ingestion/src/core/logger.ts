@@ -1,25 +1,199 @@
-import pinoImport from "pino";
+import { pino, transport, type Logger, type TransportTargetOptions } from "pino";
+import { getConfigSection } from "./config.js";
 
 /**
  * @fileoverview Structured logging configuration using Pino.
- * 
+ *
  * Provides a configured Pino logger instance for structured JSON logging.
  * Log output is optimized for consumption by log aggregation systems like
  * Loki or Elasticsearch.
+ *
+ * Secrets (passwords, API keys, tokens, SASL settings) are redacted wherever they
+ * appear up to three levels deep in a log record. Plugins may export
+ * `sensitiveFields` to redact fields of the messages they handle as well; those
+ * apply to payloads logged under the `payload` key of the plugin's logger.
+ *
+ * Levels, per-module levels, pretty output, the rotating log file and extra
+ * redaction paths are set in the `log` section of the service configuration
+ * (`LOG_*` variables, see core/config.ts). Only that section is read here, so
+ * importing the logger does not require the rest of the configuration.
  */
 
+const config = getConfigSection("log");
+
+// ═══════════════════════════════════════════════════════════════════════════════════════════════
+// REDACTION
+// ═══════════════════════════════════════════════════════════════════════════════════════════════
+
+/** Replaces redacted values in log records */
+const CENSOR = "[REDACTED]";
+
+/** Keys holding credentials, redacted at the top level and up to two levels below it */
+const SECRET_KEYS = [
+  "password",
+  "passwd",
+  "secret",
+  "secretAccessKey",
+  "sessionToken",
+  "apiKey",
+  "api_key",
+  "api-key",
+  "token",
+  "accessToken",
+  "refreshToken",
+  "authorization",
+  "cookie",
+  "privateKey",
+  "passphrase",
+  "sasl"
+];
+
+/** Default redaction paths: every secret key at depths 0-2, plus the configured extra paths */
+const SECRET_PATHS = [
+  ...SECRET_KEYS.flatMap((key) => {
+    const member = /^\w+$/.test(key) ? `.${key}` : `["${key}"]`;
+    return [member.slice(member.startsWith(".") ? 1 : 0), `*${member}`, `*.*${member}`];
+  }),
+  ...config.redact
+];
+
+// ═══════════════════════════════════════════════════════════════════════════════════════════════
+// DESTINATIONS
+// ═══════════════════════════════════════════════════════════════════════════════════════════════
+
+/**
+ * Builds the transport targets for pretty and file output; undefined for plain
+ * JSON on stdout, which Pino writes synchronously without a worker thread.
+ */
+function transportTargets(): TransportTargetOptions[] | undefined {
+  const { pretty, file } = config;
+  if (!pretty && !file) return undefined;
+
+  // Levels are filtered by the loggers; targets accept everything they are sent
+  const targets: TransportTargetOptions[] = [
+    pretty
+      ? { target: "pino-pretty", level: "trace", options: { colorize: true, translateTime: "SYS:standard", ignore: "pid,hostname" } }
+      : { target: "pino/file", level: "trace", options: { destination: 1 } }
+  ];
+  if (file) {
+    targets.push({
+      target: "pino-roll",
+      level: "trace",
+      options: {
+        file,
+        frequency: "daily",
+        size: config.fileSize,
+        limit: { count: config.fileCount },
+        mkdir: true
+      }
+    });
+  }
+  return targets;
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════════════════════
+// LOGGERS
+// ═══════════════════════════════════════════════════════════════════════════════════════════════
+
 /**
- * Global Pino logger instance with configurable log level.
- * 
- * **Environment Variables:**
- * - `LOG_LEVEL`: Controls logging verbosity (default: "info")
- *   Valid levels: trace, debug, info, warn, error, fatal
- * 
+ * Global Pino logger instance with configurable level, redaction and destinations.
+ *
  * **Features:**
  * - Structured JSON output for machine-readable logs
  * - Performance-optimized for high-throughput applications
  * - Compatible with log aggregation and monitoring systems
  */
-const pino = pinoImport as unknown as (options?: any) => any;
+export const logger: Logger = (() => {
+  const targets = transportTargets();
+  const options = { level: config.level, redact: { paths: SECRET_PATHS, censor: CENSOR } };
+  return targets ? pino(options, transport({ targets })) : pino(options);
+})();
+
+/**
+ * Module and plugin loggers whose level follows the global logger, keyed by module
+ * or plugin. Pino children keep the level they were created with, so runtime level
+ * changes are applied to each of them by `setLogLevel`. Loggers with a `LOG_LEVELS`
+ * override are not listed and keep their configured level.
+ */
+const followers = new Map<string, Logger>();
 
-export const logger = pino({ level: process.env.LOG_LEVEL || "info" });
+/**
+ * Waits until buffered log records have been handed to the destination, so records
+ * written just before `process.exit` reach the pretty and file transports.
+ *
+ * @returns Promise resolving once flushed; never rejects
+ */
+export function flushLogger(): Promise<void> {
+  return new Promise((done) => logger.flush(() => done()));
+}
+
+/**
+ * Returns the level configured for the first of `modules` named in `LOG_LEVELS`.
+ */
+function levelFor(...modules: string[]): string | undefined {
+  for (const module of modules) {
+    const level = config.levels[module];
+    if (level) return level;
+  }
+  return undefined;
+}
+
+/**
+ * Creates the logger for one module. Its records carry a `module` field and its
+ * level can be set independently of `LOG_LEVEL` through `LOG_LEVELS`.
+ *
+ * @param module - Module name, e.g. "dlq" or "breaker"
+ * @returns Child of the global logger
+ *
+ * @example
+ * ```typescript
+ * const logger = createLogger("lag"); // LOG_LEVELS=lag=debug
+ * ```
+ */
+export function createLogger(module: string): Logger {
+  const level = levelFor(module);
+  const child = logger.child({ module }, level ? { level } : {});
+  if (!level) followers.set(module, child);
+  return child;
+}
+
+/**
+ * Creates the logger handed to a plugin. Its level follows `plugin:<name>` or
+ * `plugins` in `LOG_LEVELS`, and the plugin's sensitive fields are redacted from
+ * payloads it logs under the `payload` key.
+ *
+ * @param name - Plugin registry key
+ * @param kind - Plugin kind
+ * @param sensitiveFields - Paths into the message the plugin handles, e.g. "data.auth.password"
+ * @returns Child of the global logger
+ */
+export function createPluginLogger(
+  name: string,
+  kind: "normalizer" | "upserter",
+  sensitiveFields: readonly string[] = []
+): Logger {
+  const level = levelFor(`plugin:${name}`, "plugins");
+  // A child's redaction replaces its parent's, so the secret paths are repeated
+  const redact = sensitiveFields.length
+    ? { paths: [...SECRET_PATHS, ...sensitiveFields.map((p) => `payload.${p}`)], censor: CENSOR }
+    : undefined;
+  const child = logger.child({ module: "plugins", plugin: name, kind }, { ...(level && { level }), ...(redact && { redact }) });
+  // Keyed by plugin, so a reloaded plugin's logger replaces the one it had before
+  if (level) followers.delete(`plugin:${kind}:${name}`);
+  else followers.set(`plugin:${kind}:${name}`, child);
+  return child;
+}
+
+/**
+ * Changes the log level at runtime. Applies to the global logger and every module
+ * and plugin logger without a `LOG_LEVELS` override; loggers derived from them
+ * afterwards (e.g. per-message loggers) inherit it.
+ *
+ * @param level - New level, e.g. "debug"
+ * @throws {Error} When the level is not a known Pino level
+ */
+export function setLogLevel(level: string): void {
+  if (!Object.hasOwn(logger.levels.values, level)) throw new Error(`unknown log level: ${level}`);
+  logger.level = level;
+  for (const child of followers.values()) child.level = level;
+}
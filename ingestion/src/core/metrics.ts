@@ -5,12 +5,19 @@
  * - Message consumption and production counters
  * - Processing error tracking with detailed labels
  * - Real-time gauge metrics for queue sizes and in-flight operations
+ * - Consumer lag, committed offsets and high watermarks per partition, and
+ *   consumer group rebalances and crashes
  * - Latency histograms for performance monitoring
- * - HTTP server exposing metrics at /metrics endpoint
+ * - Per-tool normalizer and per-event-type upsert metrics, and failures by plugin,
+ *   so a single misbehaving plugin stands out on a dashboard
+ * - Plugin-defined metrics, scoped by a `plugin` label
+ * - HTTP server exposing metrics at /metrics endpoint, plus routes registered
+ *   by other modules (health and readiness probes)
  */
 
 import http from "node:http";
 import client from "prom-client";
+import type { PluginMetrics } from "./schemas.js";
 
 // ═══════════════════════════════════════════════════════════════════════════════════════════════
 // COUNTER METRICS
@@ -31,7 +38,13 @@ export const messagesProduced = new client.Counter({
 export const upsertsSuccess = new client.Counter({
   name: "ingestion_upserts_success_total",
   help: "Total successful upsert operations to storage systems",
-  labelNames: ["db"]
+  labelNames: ["db", "sink"]
+});
+
+export const upsertsFailed = new client.Counter({
+  name: "ingestion_upserts_failed_total",
+  help: "Total failed upsert attempts to storage systems, including attempts that were retried",
+  labelNames: ["db", "sink"]
 });
 
 export const processingErrors = new client.Counter({
@@ -40,6 +53,65 @@ export const processingErrors = new client.Counter({
   labelNames: ["stage", "reason"]
 });
 
+export const consumerRebalances = new client.Counter({
+  name: "ingestion_consumer_rebalances_total",
+  help: "Consumer group rebalances this instance took part in"
+});
+
+export const consumerCrashes = new client.Counter({
+  name: "ingestion_consumer_crashes_total",
+  help: "Consumer crashes by error and whether KafkaJS restarted the consumer",
+  labelNames: ["error", "restart"]
+});
+
+export const breakerState = new client.Gauge({
+  name: "ingestion_circuit_breaker_state",
+  help: "Circuit breaker state per storage backend (0 closed, 1 half-open, 2 open)",
+  labelNames: ["backend"]
+});
+
+export const breakerTransitions = new client.Counter({
+  name: "ingestion_circuit_breaker_transitions_total",
+  help: "Circuit breaker state changes per storage backend and new state",
+  labelNames: ["backend", "state"]
+});
+
+export const breakerRejections = new client.Counter({
+  name: "ingestion_circuit_breaker_rejected_total",
+  help: "Calls rejected by an open circuit breaker per storage backend",
+  labelNames: ["backend"]
+});
+
+export const schemaViolations = new client.Counter({
+  name: "ingestion_schema_violations_total",
+  help: "Messages failing schema validation, by stage (raw, normalizer, domain) and registered tool (\"other\" for unregistered tools)",
+  labelNames: ["stage", "tool"]
+});
+
+export const unroutedMessages = new client.Counter({
+  name: "ingestion_unrouted_messages_total",
+  help: "Messages no plugin handled, by stage, registered tool or event type (\"other\" otherwise), and reason",
+  labelNames: ["stage", "name", "reason"]
+});
+
+export const normalizerInvocations = new client.Counter({
+  name: "ingestion_normalizer_invocations_total",
+  help: "Normalizer calls by tool and result (events, empty, null, invalid, error)",
+  labelNames: ["tool", "result"]
+});
+
+export const pluginFailures = new client.Counter({
+  name: "ingestion_plugin_failures_total",
+  help: "Failed plugin calls by kind, plugin and error name, including calls that were retried",
+  labelNames: ["kind", "plugin", "error"]
+});
+
+export const normalizerTimeouts = new client.Counter({
+  name: "ingestion_normalizer_timeouts_total",
+  help: "Normalizer calls that exceeded their timeout",
+  labelNames: ["tool"]
+});
+
 // ═══════════════════════════════════════════════════════════════════════════════════════════════
 // GAUGE METRICS
 // ═══════════════════════════════════════════════════════════════════════════════════════════════
@@ -54,6 +126,30 @@ export const inFlightUpsertsGauge = new client.Gauge({
   help: "Current number of upsert operations in progress"
 });
 
+export const consumerPaused = new client.Gauge({
+  name: "ingestion_consumer_paused",
+  help: "Whether consumption of a topic is paused (1) or running (0)",
+  labelNames: ["topic", "reason"]
+});
+
+export const consumerLag = new client.Gauge({
+  name: "ingestion_consumer_lag",
+  help: "Messages between the consumer group's committed offset and the high watermark",
+  labelNames: ["topic", "partition"]
+});
+
+export const committedOffset = new client.Gauge({
+  name: "ingestion_consumer_committed_offset",
+  help: "Consumer group's committed offset (next offset to consume)",
+  labelNames: ["topic", "partition"]
+});
+
+export const highWatermark = new client.Gauge({
+  name: "ingestion_topic_high_watermark",
+  help: "Offset of the next message to be written to the partition",
+  labelNames: ["topic", "partition"]
+});
+
 // ═══════════════════════════════════════════════════════════════════════════════════════════════
 // HISTOGRAM METRICS
 // ═══════════════════════════════════════════════════════════════════════════════════════════════
@@ -65,6 +161,76 @@ export const msgLatency = new client.Histogram({
   buckets: [0.05, 0.1, 0.2, 0.5, 1, 2, 5, 10]
 });
 
+export const normalizeDuration = new client.Histogram({
+  name: "ingestion_normalize_duration_seconds",
+  help: "Normalizer call duration by tool in seconds",
+  labelNames: ["tool"],
+  buckets: [0.005, 0.01, 0.05, 0.1, 0.5, 1, 5, 10]
+});
+
+export const eventsEmitted = new client.Histogram({
+  name: "ingestion_normalizer_events_emitted",
+  help: "Domain events emitted per raw message by tool",
+  labelNames: ["tool"],
+  buckets: [0, 1, 2, 5, 10, 25, 50, 100, 500]
+});
+
+export const upsertDuration = new client.Histogram({
+  name: "ingestion_upsert_duration_seconds",
+  help: "Upsert duration by event type and sink in seconds, successful or not",
+  labelNames: ["event_type", "sink"],
+  buckets: [0.005, 0.01, 0.05, 0.1, 0.5, 1, 5, 10]
+});
+
+// ═══════════════════════════════════════════════════════════════════════════════════════════════
+// PLUGIN METRICS
+// ═══════════════════════════════════════════════════════════════════════════════════════════════
+
+/**
+ * Returns the registered metric of the given type, creating it on first use.
+ * Plugins are reloaded without restarting, so registration must be idempotent.
+ *
+ * @throws {Error} When the name is already registered as a different metric type
+ */
+function registerPluginMetric<T>(
+  type: new (config: any) => T,
+  name: string,
+  config: { help: string; labelNames: string[]; buckets?: number[] }
+): T {
+  const fullName = `ingestion_plugin_${name}`;
+  const existing = client.register.getSingleMetric(fullName);
+  if (existing) {
+    if (!(existing instanceof type)) {
+      throw new Error(`Metric ${fullName} is already registered as a different type`);
+    }
+    return existing;
+  }
+  return new type({ name: fullName, ...config, labelNames: ["plugin", ...config.labelNames] });
+}
+
+/**
+ * Creates metric helpers for a plugin.
+ *
+ * @param plugin - Plugin name, recorded in the `plugin` label
+ * @returns Helpers that register metrics on first use and label every sample with the plugin
+ */
+export function createPluginMetrics(plugin: string): PluginMetrics {
+  return {
+    counter(name, help, labelNames = []) {
+      const metric = registerPluginMetric(client.Counter, name, { help, labelNames });
+      return { inc: (value = 1, labels = {}) => metric.inc({ ...labels, plugin }, value) };
+    },
+    gauge(name, help, labelNames = []) {
+      const metric = registerPluginMetric(client.Gauge, name, { help, labelNames });
+      return { set: (value, labels = {}) => metric.set({ ...labels, plugin }, value) };
+    },
+    histogram(name, help, labelNames = [], buckets) {
+      const metric = registerPluginMetric(client.Histogram, name, buckets ? { help, labelNames, buckets } : { help, labelNames });
+      return { observe: (value, labels = {}) => metric.observe({ ...labels, plugin }, value) };
+    }
+  };
+}
+
 // ═══════════════════════════════════════════════════════════════════════════════════════════════
 // METRICS SERVER
 // ═══════════════════════════════════════════════════════════════════════════════════════════════
@@ -73,18 +239,46 @@ export const msgLatency = new client.Histogram({
 client.collectDefaultMetrics();
 
 /**
- * Starts an HTTP server that exposes Prometheus metrics at the /metrics endpoint.
+ * Handler for an additional path served by the metrics server.
+ */
+export type RouteHandler = (req: http.IncomingMessage, res: http.ServerResponse) => Promise<void> | void;
+
+const routes = new Map<string, RouteHandler>();
+
+/**
+ * Registers an additional route on the metrics server. Routes may be registered
+ * after the server has started; until then the path answers 404.
+ * 
+ * @param path - Exact request path, without query string (e.g. "/readyz")
+ * @param handler - Request handler
+ */
+export function registerRoute(path: string, handler: RouteHandler) {
+  routes.set(path, handler);
+}
+
+/**
+ * Starts an HTTP server that exposes Prometheus metrics at the /metrics endpoint
+ * and serves any routes added through `registerRoute`.
  * 
  * @param port - Port number for the metrics server (default: 9100)
  * @returns HTTP server instance for potential shutdown handling
  */
 export function startMetricsServer(port = 9100) {
   const server = http.createServer(async (req, res) => {
-    if (req.url === "/metrics") {
-      res.writeHead(200, { "Content-Type": client.register.contentType });
-      res.end(await client.register.metrics());
-    } else {
-      res.writeHead(404);
+    const path = (req.url ?? "/").split("?")[0];
+    const route = routes.get(path);
+    try {
+      if (path === "/metrics") {
+        res.writeHead(200, { "Content-Type": client.register.contentType });
+        res.end(await client.register.metrics());
+      } else if (route) {
+        await route(req, res);
+      } else {
+        res.writeHead(404);
+        res.end();
+      }
+    } catch (err) {
+      if (!res.headersSent) res.writeHead(500);
       res.end();
     }
   });
@@ -2,63 +2,87 @@ import { S3Client, PutObjectCommand, GetObjectCommand, HeadBucketCommand, Create
 import { getSignedUrl } from "@aws-sdk/s3-request-presigner";
 import { readFile } from "node:fs/promises";
 import { basename } from "node:path";
+import { SpanKind } from "@opentelemetry/api";
+import type { EnvConfig } from "./config.js";
+import { withSpan } from "./tracing.js";
 
 /**
  * @fileoverview MinIO object storage client configuration and utility functions.
  * 
- * Provides S3-compatible operations for MinIO including file uploads, bucket management,
- * and presigned URL generation. Uses AWS SDK v3 with custom endpoint configuration.
+ * Provides an S3 client factory and S3-compatible operations for MinIO including file
+ * uploads, bucket management, and presigned URL generation. Uses AWS SDK v3 with custom
+ * endpoint configuration. Every command sent through the client is traced as `s3.<Command>`.
  */
 
 // ═══════════════════════════════════════════════════════════════════════════════════════════════
 // CLIENT CONFIGURATION
 // ═══════════════════════════════════════════════════════════════════════════════════════════════
 
-const endpoint = process.env.MINIO_URL;
-if (!endpoint) {
-  throw new Error("MINIO_URL environment variable is required");
-}
-
-const accessKeyId = process.env.MINIO_ROOT_USER;
-const secretAccessKey = process.env.MINIO_ROOT_PASSWORD;
-if (!accessKeyId || !secretAccessKey) {
-  throw new Error("MINIO_ROOT_USER and MINIO_ROOT_PASSWORD environment variables are required");
-}
-
 /**
- * Configured S3 client for MinIO operations.
+ * Creates an S3 client for MinIO operations.
  * 
- * Uses force path style for MinIO compatibility and configured with
- * credentials from environment variables.
+ * Uses force path style for MinIO compatibility.
+ * 
+ * @param config - MinIO section of the environment configuration
+ * @returns Traced client instance; the caller is responsible for destroying it
  */
-export const minioClient = new S3Client({
-  credentials: { accessKeyId, secretAccessKey },
-  endpoint,
-  forcePathStyle: true,
-  region: "us-east-1",
-});
+export function createMinioClient(config: EnvConfig["minio"]): S3Client {
+  const client = new S3Client({
+    credentials: { accessKeyId: config.accessKeyId, secretAccessKey: config.secretAccessKey },
+    endpoint: config.endpoint,
+    forcePathStyle: true,
+    region: "us-east-1",
+  });
+
+  // Runs first, so the span covers signing, retries and the HTTP round trips
+  client.middlewareStack.add(
+    (next, context) => (args) => {
+      const input = args.input as { Bucket?: string; Key?: string };
+      const command = context.commandName?.replace(/Command$/, "") ?? "unknown";
+      return withSpan(
+        `s3.${command}`,
+        {
+          kind: SpanKind.CLIENT,
+          attributes: {
+            "rpc.system": "aws-api",
+            "rpc.method": command,
+            ...(input.Bucket && { "aws.s3.bucket": input.Bucket }),
+            ...(input.Key && { "aws.s3.key": input.Key })
+          }
+        },
+        () => next(args)
+      );
+    },
+    { step: "initialize", name: "tracingMiddleware" }
+  );
+  return client;
+}
 
 // ═══════════════════════════════════════════════════════════════════════════════════════════════
 // BUCKET MANAGEMENT
 // ═══════════════════════════════════════════════════════════════════════════════════════════════
 
-const ensuredBuckets = new Set<string>();
+/** Buckets known to exist, per client */
+const ensuredBuckets = new WeakMap<S3Client, Set<string>>();
 
 /**
  * Ensures a bucket exists, creating it if necessary.
  * Caches bucket existence to avoid redundant API calls.
  * 
+ * @param minioClient - S3 client
  * @param bucket - Name of the bucket to ensure exists
  * @throws {Error} When bucket operations fail
  */
-async function ensureBucketExists(bucket: string): Promise<void> {
-  if (ensuredBuckets.has(bucket)) return;
+export async function ensureBucketExists(minioClient: S3Client, bucket: string): Promise<void> {
+  let known = ensuredBuckets.get(minioClient);
+  if (!known) ensuredBuckets.set(minioClient, (known = new Set()));
+  if (known.has(bucket)) return;
   try {
     await minioClient.send(new HeadBucketCommand({ Bucket: bucket }));
   } catch {
     await minioClient.send(new CreateBucketCommand({ Bucket: bucket }));
   }
-  ensuredBuckets.add(bucket);
+  known.add(bucket);
 }
 
 // ═══════════════════════════════════════════════════════════════════════════════════════════════
@@ -68,17 +92,19 @@ async function ensureBucketExists(bucket: string): Promise<void> {
 /**
  * Uploads an object to MinIO storage from memory.
  * 
+ * @param minioClient - S3 client
  * @param bucket - Target bucket name
  * @param key - Object key (path/filename within bucket)
  * @param body - Object content as string, Buffer, or Uint8Array
  * @throws {Error} When upload operation fails
  */
 export async function uploadObject(
+  minioClient: S3Client,
   bucket: string,
   key: string,
   body: string | Uint8Array | Buffer
 ): Promise<void> {
-  await ensureBucketExists(bucket);
+  await ensureBucketExists(minioClient, bucket);
   const command = new PutObjectCommand({ Bucket: bucket, Key: key, Body: body });
   await minioClient.send(command);
 }
@@ -87,21 +113,23 @@ export async function uploadObject(
  * Uploads a file from the local filesystem to MinIO storage.
  * Uses the filename as the object key within the bucket.
  * 
+ * @param minioClient - S3 client
  * @param bucket - Target bucket name
  * @param filePath - Local file path to upload
  * @returns The object key used for the uploaded file
  * @throws {Error} When file read or upload operation fails
  */
-export async function uploadFile(bucket: string, filePath: string): Promise<string> {
+export async function uploadFile(minioClient: S3Client, bucket: string, filePath: string): Promise<string> {
   const data = await readFile(filePath);
   const key = basename(filePath);
-  await uploadObject(bucket, key, data);
+  await uploadObject(minioClient, bucket, key, data);
   return key;
 }
 
 /**
  * Generates a presigned URL for temporary read access to an object.
  * 
+ * @param minioClient - S3 client
  * @param bucket - Source bucket name
  * @param key - Object key to generate access for
  * @param expiresInSeconds - URL expiration time in seconds (default: 24 hours)
@@ -109,6 +137,7 @@ export async function uploadFile(bucket: string, filePath: string): Promise<stri
  * @throws {Error} When URL generation fails
  */
 export async function generatePresignedUrl(
+  minioClient: S3Client,
   bucket: string,
   key: string,
   expiresInSeconds = 60 * 60 * 24
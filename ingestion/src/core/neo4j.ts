@@ -1,29 +1,144 @@
-import neo4j from "neo4j-driver";
+import neo4j, { type Driver, type Result, type Session } from "neo4j-driver";
+import { SpanKind, type Span } from "@opentelemetry/api";
+import type { EnvConfig } from "./config.js";
+import { endSpan, tracer, withSpan } from "./tracing.js";
 
 /**
  * @fileoverview Neo4j database connection and driver configuration.
  * 
- * Establishes a connection to Neo4j using environment variables for authentication.
- * The driver instance is configured with lossless integer handling disabled for
- * simplified JavaScript numeric operations.
+ * Creates the Neo4j driver from the validated environment configuration. The
+ * driver instance is configured with lossless integer handling disabled for
+ * simplified JavaScript numeric operations. Plugins receive the driver through
+ * their `PluginContext` rather than importing it.
+ *
+ * Every query is traced: `session.run` gets a span that ends once the result is
+ * consumed (awaited, subscribed to, iterated with `for await` or summarized), and
+ * `executeRead`/`executeWrite` get one covering the whole unit of work.
  */
 
+/** Attributes shared by every Neo4j span */
+const DB_ATTRIBUTES = { "db.system.name": "neo4j" };
+
 /**
- * Neo4j Bolt driver instance configured from environment variables.
- * 
- * Requires the following environment variables:
- * - NEO4J_URI: Connection string (e.g., "bolt://localhost:7687")
- * - NEO4J_USER: Database username
- * - NEO4J_PASSWORD: Database password
+ * Creates a Neo4j Bolt driver.
  * 
  * Configuration:
  * - disableLosslessIntegers: true (converts Neo4j integers to JavaScript numbers)
+ * 
+ * @param config - Neo4j section of the environment configuration
+ * @returns Traced driver instance; the caller is responsible for closing it
+ */
+export function createNeo4jDriver(config: EnvConfig["neo4j"]): Driver {
+  const driver = neo4j.driver(
+    config.uri,
+    neo4j.auth.basic(config.user, config.password),
+    { disableLosslessIntegers: true }
+  );
+  const openSession = driver.session.bind(driver);
+  driver.session = (sessionConfig) => traceSession(openSession(sessionConfig));
+  return driver;
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════════════════════
+// TRACING
+// ═══════════════════════════════════════════════════════════════════════════════════════════════
+
+/**
+ * Wraps a session's query methods in spans.
  */
-export const driver = neo4j.driver(
-  process.env.NEO4J_URI!,
-  neo4j.auth.basic(
-    process.env.NEO4J_USER!,
-    process.env.NEO4J_PASSWORD!
-  ),
-  { disableLosslessIntegers: true }
-);
+function traceSession(session: Session): Session {
+  const run = session.run.bind(session);
+  session.run = ((query, parameters, transactionConfig) => {
+    const text = typeof query === "object" && "text" in query ? query.text : String(query);
+    const span = tracer.startSpan("neo4j.run", {
+      kind: SpanKind.CLIENT,
+      attributes: { ...DB_ATTRIBUTES, "db.query.text": text.trim() }
+    });
+    const result = run(query, parameters, transactionConfig);
+    endWhenConsumed(result, span);
+    return result;
+  }) as Session["run"];
+
+  for (const method of ["executeRead", "executeWrite"] as const) {
+    const execute = session[method].bind(session);
+    session[method] = ((work, txConfig) =>
+      withSpan(`neo4j.${method}`, { kind: SpanKind.CLIENT, attributes: DB_ATTRIBUTES }, () => execute(work, txConfig))
+    ) as Session[typeof method];
+  }
+  return session;
+}
+
+/**
+ * Ends `span` once the result has been awaited, streamed or iterated to completion,
+ * or its summary fetched. An iteration stopped early (`break`) ends it as well.
+ */
+function endWhenConsumed(result: Result, span: Span): void {
+  let ended = false;
+  const finish = (err?: unknown) => {
+    if (ended) return;
+    ended = true;
+    endSpan(span, err);
+  };
+
+  const then = result.then.bind(result);
+  result.then = ((onFulfilled?: (value: any) => any, onRejected?: (err: any) => any) => then(
+    (value) => {
+      finish();
+      return onFulfilled ? onFulfilled(value) : value;
+    },
+    (err) => {
+      finish(err);
+      if (onRejected) return onRejected(err);
+      throw err;
+    }
+  )) as Result["then"];
+
+  const subscribe = result.subscribe.bind(result);
+  result.subscribe = (observer) => subscribe({
+    ...observer,
+    onCompleted: (summary) => {
+      finish();
+      observer.onCompleted?.(summary);
+    },
+    onError: (err) => {
+      finish(err);
+      observer.onError?.(err);
+    }
+  });
+
+  const iterate = result[Symbol.asyncIterator].bind(result);
+  result[Symbol.asyncIterator] = () => {
+    const iterator = iterate();
+    const next = iterator.next.bind(iterator);
+    iterator.next = () => next().then(
+      (step) => {
+        if (step.done) finish();
+        return step;
+      },
+      (err) => {
+        finish(err);
+        throw err;
+      }
+    );
+    const stop = iterator.return?.bind(iterator);
+    if (stop) {
+      iterator.return = (value) => {
+        finish();
+        return stop(value);
+      };
+    }
+    return iterator;
+  };
+
+  const summary = result.summary.bind(result);
+  result.summary = (() => summary().then(
+    (value) => {
+      finish();
+      return value;
+    },
+    (err) => {
+      finish(err);
+      throw err;
+    }
+  )) as Result["summary"];
+}
@@ -0,0 +1,516 @@
+import { watch, type FSWatcher } from "node:fs";
+import { stat } from "node:fs/promises";
+import { resolve } from "node:path";
+import { fileURLToPath } from "node:url";
+import { loadPluginConfig, pluginConfigUrl, type PluginEntry, type UpserterEntry } from "./config.js";
+import { createLogger, createPluginLogger } from "./logger.js";
+import { createPluginMetrics } from "./metrics.js";
+import type { HealthProbe } from "./health.js";
+import type {
+  INormalizer,
+  IPluginLifecycle,
+  IUpserter,
+  Lineage,
+  PluginContext,
+  PluginModuleOptions,
+  PluginStorage
+} from "./schemas.js";
+import { createLimiter, type Limiter } from "./util/limiter.js";
+import { satisfies } from "./util/version.js";
+import { createRouter, type Router } from "./routing.js";
+
+/**
+ * @fileoverview Plugin registry loading and hot reload.
+ *
+ * Builds an immutable registry of normalizers and upserters from plugins.yaml,
+ * with routers that resolve tool names and event types to plugins (see routing.ts).
+ * Modules are imported with their file modification time as a cache-busting
+ * query, so a reload picks up rebuilt plugin files while unchanged modules are
+ * served from the ESM cache. A reload builds a complete new registry before it
+ * is swapped in, and any plugin whose new version fails to load keeps its
+ * previously loaded version. At startup, by contrast, any plugin that fails to
+ * load is fatal.
+ *
+ * Lifecycle hooks exported by a plugin module (see `IPluginLifecycle`) are tied
+ * to the module version: `init` runs when a version is first loaded, and again
+ * with the new context when a reload only changes its `config` in plugins.yaml;
+ * `shutdown` runs once the registry no longer references the version. Each
+ * plugin receives a `PluginContext` carrying its configuration, a scoped
+ * logger and metrics, the shared storage clients and an abort signal tied to
+ * the module version.
+ *
+ * Note: only a plugin's entry module is cache-busted; helper modules it imports
+ * are reused from the cache. Node cannot unload ES modules, so every changed
+ * version of a plugin stays in memory until the process restarts.
+ */
+
+const logger = createLogger("plugins");
+
+// ═══════════════════════════════════════════════════════════════════════════════════════════════
+// TYPE DEFINITIONS
+// ═══════════════════════════════════════════════════════════════════════════════════════════════
+
+/**
+ * A plugin module loaded into the registry.
+ */
+export interface LoadedPlugin<T> {
+  /** Registry key: the routing key for normalizers, `<routing key>/<sink>` for upserters */
+  name: string;
+  /** Module path as configured in plugins.yaml */
+  module: string;
+  /** Modification time of the loaded file, used as the module version */
+  version: string;
+  handler: T;
+  /** Lifecycle hooks exported by the module */
+  hooks: IPluginLifecycle;
+  /** Context passed to the handler on every call */
+  context: PluginContext;
+  /** Aborts `context.signal` when this module version is shut down */
+  lifetime: AbortController;
+  /** Event version range the plugin handles; all versions when unset */
+  versions?: string;
+  /** Bounds concurrent handler invocations to the configured limit */
+  limiter: Limiter;
+  concurrency?: number;
+  /** Per-call timeout override from plugins.yaml */
+  timeoutMs?: number;
+  /** Sink name and storage backend, for upserters */
+  sink?: { name: string; db: string };
+}
+
+/**
+ * Immutable snapshot of the loaded plugins.
+ */
+export interface PluginRegistry {
+  /** Normalizer per routing key (tool name or pattern) */
+  normalizers: Readonly<Record<string, LoadedPlugin<INormalizer>>>;
+  /** Upserter sinks per routing key (event type or pattern), in plugins.yaml order */
+  upserters: Readonly<Record<string, readonly LoadedPlugin<IUpserter>[]>>;
+  /** Resolve a tool name or event type to its plugins, following the routing precedence */
+  route: {
+    normalizer: Router<LoadedPlugin<INormalizer>>;
+    upserters: Router<readonly LoadedPlugin<IUpserter>[]>;
+  };
+  loadedAt: string;
+}
+
+/**
+ * Raised when a plugin call exceeds its timeout.
+ */
+export class PluginTimeoutError extends Error {
+  constructor(readonly plugin: string, readonly timeoutMs: number) {
+    super(`Plugin ${plugin} timed out after ${timeoutMs}ms`);
+    this.name = "PluginTimeoutError";
+  }
+}
+
+/**
+ * Outcome of building a registry.
+ */
+export interface RegistryLoadResult {
+  registry: PluginRegistry;
+  /** Plugins that failed to load, with the error message */
+  failures: { kind: "normalizer" | "upserter"; name: string; error: string }[];
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════════════════════
+// PLUGIN SECURITY & VALIDATION
+// ═══════════════════════════════════════════════════════════════════════════════════════════════
+
+/** Directory that plugin paths in plugins.yaml are relative to (the build output root) */
+const rootDir = fileURLToPath(new URL("..", import.meta.url));
+
+/**
+ * Validates and resolves plugin paths to prevent directory traversal attacks.
+ *
+ * @param pluginPath - The plugin path from configuration
+ * @param baseDir - Base directory to restrict access to (default: "plugins")
+ * @returns Resolved safe path or throws error if invalid
+ * @throws {Error} When plugin path resolves outside allowed directory
+ */
+export function validatePluginPath(pluginPath: string, baseDir = "plugins"): string {
+  const cleanPath = pluginPath.replace(/[^a-zA-Z0-9/_-]/g, '');
+  const fullPath = resolve(rootDir, cleanPath);
+  const basePath = resolve(rootDir, baseDir);
+
+  if (!fullPath.startsWith(basePath)) {
+    throw new Error(`Invalid plugin path: ${pluginPath} resolves outside allowed directory`);
+  }
+
+  return cleanPath;
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════════════════════
+// REGISTRY LOADING
+// ═══════════════════════════════════════════════════════════════════════════════════════════════
+
+/**
+ * Imports a plugin module, cache-busted by the file's modification time.
+ *
+ * @param modPath - Module path from plugins.yaml
+ * @returns The module's default export, its lifecycle hooks, sensitive fields and version
+ * @throws {Error} When the module has no default function, a hook export is not a function,
+ * or `sensitiveFields` is not an array of strings
+ */
+async function importPlugin<T>(
+  modPath: string
+): Promise<{ handler: T; hooks: IPluginLifecycle; sensitiveFields: readonly string[]; version: string }> {
+  const safePath = validatePluginPath(modPath);
+  const url = new URL(`../${safePath}.js`, import.meta.url);
+  const { mtimeMs } = await stat(url);
+  const version = String(Math.trunc(mtimeMs));
+  const module = (await import(`${url.href}?v=${version}`)) as IPluginLifecycle & PluginModuleOptions & { default: T };
+  if (typeof module.default !== "function") {
+    throw new Error(`Plugin ${modPath} has no default export function`);
+  }
+  for (const hook of ["init", "healthCheck", "shutdown"] as const) {
+    if (module[hook] !== undefined && typeof module[hook] !== "function") {
+      throw new Error(`Plugin ${modPath} exports ${hook} but it is not a function`);
+    }
+  }
+  const { init, healthCheck, shutdown, sensitiveFields = [] } = module;
+  if (!Array.isArray(sensitiveFields) || !sensitiveFields.every((f) => typeof f === "string")) {
+    throw new Error(`Plugin ${modPath} exports sensitiveFields but it is not an array of strings`);
+  }
+  return { handler: module.default, hooks: { init, healthCheck, shutdown }, sensitiveFields, version };
+}
+
+/**
+ * A module instance's lifetime, and whether `init` already ran for it during this load.
+ */
+interface ModuleState {
+  lifetime: AbortController;
+  initializedNow: boolean;
+}
+
+/**
+ * Loads every enabled plugin of one kind listed in plugins.yaml.
+ *
+ * `initialized` maps each module instance already initialized (by a previous registry
+ * or an earlier entry) to its state; a module listed under several keys is initialized
+ * once, with the context of the first, and its entries share one lifetime. A reused
+ * module whose `config` changed is initialized again, once, with its new context.
+ */
+async function loadKind<T>(
+  kind: "normalizer" | "upserter",
+  storage: PluginStorage,
+  entries: Record<string, PluginEntry | UpserterEntry>,
+  previous: Readonly<Record<string, LoadedPlugin<T>>> | undefined,
+  initialized: Map<unknown, ModuleState>,
+  failures: RegistryLoadResult["failures"]
+): Promise<Record<string, LoadedPlugin<T>>> {
+  const loaded: Record<string, LoadedPlugin<T>> = {};
+
+  for (const [name, entry] of Object.entries(entries)) {
+    const prev = previous?.[name];
+    if (!entry.enabled) {
+      if (prev || !previous) logger.info({ kind, name }, `${kind} disabled`);
+      continue;
+    }
+
+    try {
+      const { handler, hooks, sensitiveFields, version } = await importPlugin<T>(entry.module);
+      // The ESM cache returns the same module instance for an unchanged version; it is already initialized
+      const reused = initialized.get(handler);
+      const lifetime = reused?.lifetime ?? new AbortController();
+      const reconfigured = reused !== undefined && !reused.initializedNow && prev?.handler === handler
+        && JSON.stringify(prev.context.config) !== JSON.stringify(entry.config);
+      const context: PluginContext = Object.freeze({
+        name,
+        kind,
+        config: Object.freeze({ ...entry.config }),
+        logger: createPluginLogger(name, kind, sensitiveFields),
+        metrics: createPluginMetrics(name),
+        storage,
+        signal: lifetime.signal
+      });
+      if (!reused) {
+        try {
+          await hooks.init?.(context);
+        } catch (err) {
+          lifetime.abort();
+          throw err;
+        }
+        initialized.set(handler, { lifetime, initializedNow: true });
+      } else if (reconfigured) {
+        // Same module instance: it keeps running with its previous configuration if this fails
+        await hooks.init?.(context);
+        reused.initializedNow = true;
+        logger.info({ kind, name, module: entry.module, version }, `${kind} reinitialized with changed config`);
+      }
+      loaded[name] = {
+        name,
+        module: entry.module,
+        version,
+        handler,
+        hooks,
+        context,
+        lifetime,
+        versions: entry.versions,
+        // Keep the limiter across reloads so in-flight calls still count toward the limit
+        limiter: prev && prev.concurrency === entry.concurrency ? prev.limiter : createLimiter(entry.concurrency ?? 0),
+        concurrency: entry.concurrency,
+        timeoutMs: entry.timeoutMs,
+        sink: "sink" in entry ? { name: entry.sink, db: entry.db } : undefined
+      };
+      if (prev?.version !== version || prev?.module !== entry.module) {
+        logger.info({ kind, name, module: entry.module, version }, `loaded ${kind}`);
+      }
+    } catch (err) {
+      const error = err instanceof Error ? err.message : String(err);
+      failures.push({ kind, name, error });
+      if (prev) {
+        loaded[name] = prev;
+        logger.error({ kind, name, error, version: prev.version }, `${kind} reload failed; keeping previous version`);
+      } else {
+        logger.warn({ kind, name, error }, `${kind} loading failed; skipped`);
+      }
+    }
+  }
+
+  return loaded;
+}
+
+/**
+ * Builds a plugin registry from plugins.yaml.
+ *
+ * @param storage - Storage clients handed to plugins through their context
+ * @param previous - Currently active registry; its entries are kept for plugins that fail to load.
+ * Omitted at startup, where any load failure is fatal.
+ * @returns New registry plus the list of load failures
+ * @throws {Error} When plugins.yaml cannot be read or fails validation (the caller keeps its
+ * registry), or at startup when any plugin fails to load
+ */
+export async function loadPluginRegistry(storage: PluginStorage, previous?: PluginRegistry): Promise<RegistryLoadResult> {
+  const { pluginMap } = await loadPluginConfig();
+  const failures: RegistryLoadResult["failures"] = [];
+  const initialized = new Map<unknown, ModuleState>(
+    previous ? allPlugins(previous).map((p) => [p.handler, { lifetime: p.lifetime, initializedNow: false }]) : []
+  );
+
+  const normalizers = await loadKind<INormalizer>(
+    "normalizer", storage, pluginMap.normalizers, previous?.normalizers, initialized, failures
+  );
+
+  // Upserters are loaded as a flat `<event type>/<sink>` map and grouped back by event type
+  const sinkEntries = Object.entries(pluginMap.upserters).flatMap(([eventType, list]) =>
+    list.map((entry) => [`${eventType}/${entry.sink}`, entry] as const)
+  );
+  const previousSinks = previous && Object.fromEntries(Object.values(previous.upserters).flat().map((p) => [p.name, p]));
+  const sinks = await loadKind<IUpserter>("upserter", storage, Object.fromEntries(sinkEntries), previousSinks, initialized, failures);
+  const upserters: Record<string, LoadedPlugin<IUpserter>[]> = {};
+  for (const [eventType, list] of Object.entries(pluginMap.upserters)) {
+    const loaded = list.map((entry) => sinks[`${eventType}/${entry.sink}`]).filter(Boolean);
+    if (loaded.length) upserters[eventType] = loaded;
+  }
+
+  if (!previous && failures.length > 0) {
+    const lines = failures.map((f) => `  - ${f.kind} ${f.name}: ${f.error}`);
+    throw new Error(`Failed to load plugins:\n${lines.join("\n")}`);
+  }
+
+  return {
+    registry: Object.freeze({
+      normalizers,
+      upserters,
+      route: { normalizer: createRouter(normalizers), upserters: createRouter(upserters) },
+      loadedAt: new Date().toISOString()
+    }),
+    failures
+  };
+}
+
+/**
+ * Checks whether a plugin handles the given event version.
+ *
+ * @param plugin - Loaded plugin
+ * @param version - Raw `schemaVersion` or domain `specVersion`; may be absent
+ * @returns True when the plugin has no version range, or the version satisfies it
+ */
+export function handlesVersion(plugin: LoadedPlugin<unknown>, version: unknown): boolean {
+  if (!plugin.versions) return true;
+  return typeof version === "string" && satisfies(version, plugin.versions);
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════════════════════
+// INVOCATION
+// ═══════════════════════════════════════════════════════════════════════════════════════════════
+
+/**
+ * Calls a plugin within its concurrency limit and a per-call timeout.
+ *
+ * The deadline starts when the call is requested, so time spent waiting for a
+ * concurrency slot counts toward it: a caller stuck behind a hung call times out
+ * like the call itself, and is skipped if a slot frees up after its deadline.
+ *
+ * The context passed to `call` carries a signal that aborts on timeout as well
+ * as on plugin shutdown, so cooperative plugins can cancel outstanding I/O. A
+ * plugin that ignores the signal keeps running in the background, but its
+ * result is discarded. A timed-out call keeps its concurrency slot until it
+ * settles, or for at most one more timeout period, after which the slot is
+ * released so a call that never settles cannot stall the plugin for good.
+ *
+ * @param plugin - Loaded plugin
+ * @param timeoutMs - Timeout used when the plugin has no `timeoutMs` of its own; none when both are unset
+ * @param call - Invokes the plugin handler with the per-call context
+ * @param message - Correlation fields added to the context's logger, and lineage, of the message being handled
+ * @returns The handler's result
+ * @throws {PluginTimeoutError} When the call does not get a slot and settle in time
+ */
+export function invokePlugin<T, R>(
+  plugin: LoadedPlugin<T>,
+  timeoutMs: number | undefined,
+  call: (handler: T, ctx: PluginContext) => R | Promise<R>,
+  message?: { correlation: Record<string, unknown>; lineage?: Lineage | null }
+): Promise<R> {
+  const limit = plugin.timeoutMs ?? timeoutMs;
+  const base: PluginContext = message
+    ? {
+        ...plugin.context,
+        logger: plugin.context.logger.child(message.correlation),
+        lineage: message.lineage ?? undefined
+      }
+    : plugin.context;
+  if (limit === undefined) return plugin.limiter.run(async () => call(plugin.handler, base));
+
+  return new Promise<R>((resolve, reject) => {
+    const timeout = new AbortController();
+    const timer = setTimeout(() => {
+      const err = new PluginTimeoutError(plugin.name, limit);
+      timeout.abort(err);
+      reject(err);
+    }, limit);
+
+    void plugin.limiter.run(async () => {
+      // The caller already timed out while waiting for a slot
+      if (timeout.signal.aborted) return;
+      const ctx: PluginContext = { ...base, signal: AbortSignal.any([plugin.lifetime.signal, timeout.signal]) };
+      const settled = Promise.resolve()
+        .then(() => call(plugin.handler, ctx))
+        .then(resolve, reject)
+        .finally(() => clearTimeout(timer));
+      await holdSlot(plugin, settled, timeout.signal, limit);
+    });
+  });
+}
+
+/**
+ * Resolves once a plugin call settles, or `graceMs` after it timed out if it is still running.
+ */
+function holdSlot(plugin: LoadedPlugin<unknown>, settled: Promise<void>, timedOut: AbortSignal, graceMs: number): Promise<void> {
+  return new Promise((release) => {
+    let grace: NodeJS.Timeout | undefined;
+    const onTimeout = () => {
+      grace = setTimeout(() => {
+        logger.warn({ name: plugin.name, module: plugin.module, graceMs }, "timed-out plugin call still running; releasing its concurrency slot");
+        release();
+      }, graceMs);
+    };
+    timedOut.addEventListener("abort", onTimeout, { once: true });
+    void settled.finally(() => {
+      timedOut.removeEventListener("abort", onTimeout);
+      clearTimeout(grace);
+      release();
+    });
+  });
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════════════════════
+// LIFECYCLE
+// ═══════════════════════════════════════════════════════════════════════════════════════════════
+
+/**
+ * Lists every plugin in a registry.
+ *
+ * @param registry - Plugin registry
+ * @returns Normalizers followed by upserters
+ */
+export function allPlugins(registry: PluginRegistry): LoadedPlugin<unknown>[] {
+  return [...Object.values(registry.normalizers), ...Object.values(registry.upserters).flat()];
+}
+
+/**
+ * Finds the plugin versions of `previous` that `next` no longer uses.
+ *
+ * @param previous - Registry being replaced
+ * @param next - Registry replacing it
+ * @returns Plugins whose module instance was removed, disabled or replaced by a new version
+ */
+export function retiredPlugins(previous: PluginRegistry, next: PluginRegistry): LoadedPlugin<unknown>[] {
+  const active = new Set(allPlugins(next).map((p) => p.handler));
+  return allPlugins(previous).filter((p) => !active.has(p.handler));
+}
+
+/**
+ * Aborts each plugin's context signal and runs its `shutdown` hook, once per module
+ * instance even when it is listed under several keys. Failures are logged, never
+ * thrown, so one misbehaving plugin cannot block the others from cleaning up.
+ *
+ * @param list - Plugins to shut down
+ */
+export async function shutdownPlugins(list: LoadedPlugin<unknown>[]): Promise<void> {
+  const modules = new Map(list.map((p) => [p.handler, p]));
+  await Promise.all([...modules.values()].map(async (p) => {
+    p.lifetime.abort();
+    if (!p.hooks.shutdown) return;
+    try {
+      await p.hooks.shutdown();
+      logger.info({ name: p.name, module: p.module, version: p.version }, "plugin shut down");
+    } catch (err) {
+      logger.error({ err, name: p.name, module: p.module }, "plugin shutdown failed");
+    }
+  }));
+}
+
+/**
+ * Builds readiness probes from the `healthCheck` hooks of a registry's plugins.
+ *
+ * @param registry - Active plugin registry
+ * @returns Probes keyed by `normalizer:<name>` and `upserter:<name>`
+ */
+export function pluginProbes(registry: PluginRegistry): Record<string, HealthProbe> {
+  const probes: Record<string, HealthProbe> = {};
+  for (const p of allPlugins(registry)) {
+    const check = p.hooks.healthCheck;
+    if (check) probes[`${p.context.kind}:${p.name}`] = async () => check();
+  }
+  return probes;
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════════════════════
+// FILE WATCHING
+// ═══════════════════════════════════════════════════════════════════════════════════════════════
+
+/**
+ * Watches plugins.yaml and the compiled plugin directory, invoking `onChange` once per
+ * burst of file events (debounced), e.g. after a rebuild rewrites many files. Plugin
+ * sources are not watched: changes to them take effect once `npm run build` has
+ * compiled them.
+ *
+ * @param onChange - Callback that performs the reload
+ * @param debounceMs - Quiet period before triggering (default: 500)
+ * @returns Function that stops watching
+ */
+export function watchPlugins(onChange: () => void, debounceMs = 500): () => void {
+  let timer: NodeJS.Timeout | undefined;
+  const trigger = () => {
+    clearTimeout(timer);
+    timer = setTimeout(onChange, debounceMs);
+  };
+
+  const watchers: FSWatcher[] = [];
+  // Watch the config directory rather than the file: editors often replace the file on save
+  const configDir = fileURLToPath(new URL(".", pluginConfigUrl()));
+  for (const [target, recursive] of [[configDir, false], [resolve(rootDir, "plugins"), true]] as const) {
+    try {
+      watchers.push(watch(target, { recursive }, trigger));
+    } catch (err) {
+      logger.warn({ target, error: err instanceof Error ? err.message : String(err) }, "plugin watch unavailable");
+    }
+  }
+
+  return () => {
+    clearTimeout(timer);
+    for (const w of watchers) w.close();
+  };
+}
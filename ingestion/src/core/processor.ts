@@ -0,0 +1,225 @@
+import type { Consumer, EachBatchPayload, KafkaMessage } from "kafkajs";
+
+/**
+ * @fileoverview Partition-ordered, bounded-concurrency processing engine for Kafka consumers.
+ *
+ * Wraps KafkaJS `eachBatch` so that:
+ * - Messages within a partition are handled strictly in order, one at a time
+ * - Up to `concurrency` partitions are processed in parallel
+ * - Offsets are committed explicitly, and only once every message up to that
+ *   offset has been fully handled (stored, forwarded, or dead-lettered)
+ *
+ * Together this gives at-least-once delivery: a crash at any point replays
+ * from the last committed offset instead of losing messages.
+ *
+ * Also provides reason-aware pause control so several subsystems can pause a
+ * topic independently without resuming it on each other's behalf.
+ */
+
+// ═══════════════════════════════════════════════════════════════════════════════════════════════
+// TYPE DEFINITIONS
+// ═══════════════════════════════════════════════════════════════════════════════════════════════
+
+/**
+ * A single message handed to the processing handler.
+ */
+export interface MessageContext {
+  topic: string;
+  partition: number;
+  message: KafkaMessage;
+}
+
+/**
+ * Thrown by a handler to stop its batch at the current message without failing it.
+ * Messages handled before it are committed; it and the rest of the batch are fetched
+ * again once the topic is resumed, so the handler should pause the topic first.
+ */
+export class MessageDeferredError extends Error {
+  constructor(reason: string) {
+    super(reason);
+    this.name = "MessageDeferredError";
+  }
+}
+
+/**
+ * Options for the partitioned processing engine.
+ */
+export interface ProcessorOptions {
+  /** Maximum number of partitions processed in parallel */
+  concurrency: number;
+  /**
+   * Handles one message. Must resolve only once the message is durably dealt
+   * with (including DLQ publication); rejecting stops the batch without
+   * committing so the message is redelivered. Rejecting with `MessageDeferredError`
+   * commits the messages handled before it instead.
+   */
+  handle: (ctx: MessageContext) => Promise<void>;
+  /**
+   * Called before a batch is handled, e.g. to claim the partition for transactional
+   * output. May resolve to the partition's committed offset when it can be ahead of
+   * the fetched batch; messages below it are skipped as already handled.
+   */
+  prepare?: (topic: string, partition: number) => Promise<string | undefined>;
+  /**
+   * Commits the next offset to consume for a partition once its batch is handled.
+   * Defaults to `consumer.commitOffsets`; override to flush buffered output first
+   * or to commit offsets as part of a producer transaction.
+   */
+  commit?: (topic: string, partition: number, offset: string) => Promise<void>;
+  /**
+   * Called when a batch ends without committing (handler failure or rebalance),
+   * so any output buffered for that partition can be discarded.
+   */
+  release?: (topic: string, partition: number) => void;
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════════════════════
+// PROCESSING ENGINE
+// ═══════════════════════════════════════════════════════════════════════════════════════════════
+
+/**
+ * Starts the consumer with the partition-ordered processing engine.
+ *
+ * Auto-commit and auto-resolve are disabled; the engine commits the next offset
+ * to consume once the batch (or the portion processed before a stop) is complete,
+ * and only then resolves it so a failed batch is re-fetched from the start.
+ * A batch also stops early once its partition is paused (e.g. on backpressure),
+ * so no more of the already-fetched messages are handled until it is resumed.
+ *
+ * @param consumer - Connected and subscribed KafkaJS consumer
+ * @param opts - Engine options
+ * @returns Promise resolving once the consumer run loop has started
+ */
+export async function runPartitionedConsumer(consumer: Consumer, opts: ProcessorOptions): Promise<void> {
+  await consumer.run({
+    autoCommit: false,
+    eachBatchAutoResolve: false,
+    partitionsConsumedConcurrently: Math.max(1, opts.concurrency),
+    eachBatch: (payload) => processBatch(consumer, payload, opts)
+  });
+}
+
+/**
+ * Processes one partition batch sequentially and commits what was handled.
+ *
+ * @param consumer - Consumer used for explicit offset commits
+ * @param payload - KafkaJS batch payload
+ * @param opts - Engine options
+ */
+async function processBatch(consumer: Consumer, payload: EachBatchPayload, opts: ProcessorOptions): Promise<void> {
+  const { batch, resolveOffset, heartbeat, isRunning, isStale } = payload;
+  const { topic, partition } = batch;
+  let lastHandled: string | undefined;
+
+  try {
+    const committed = await opts.prepare?.(topic, partition);
+    for (const message of batch.messages) {
+      if (!isRunning() || isStale()) break;
+      // Committed by a previous owner after this batch was fetched
+      if (committed !== undefined && BigInt(message.offset) < BigInt(committed)) {
+        resolveOffset(message.offset);
+        continue;
+      }
+
+      try {
+        await opts.handle({ topic, partition, message });
+      } catch (err) {
+        if (err instanceof MessageDeferredError) break;
+        throw err;
+      }
+      lastHandled = message.offset;
+      await heartbeat();
+      // The rest of the batch is fetched again once the partition is resumed
+      if (isPaused(consumer, topic, partition)) break;
+    }
+  } catch (err) {
+    opts.release?.(topic, partition);
+    throw err;
+  }
+
+  // A stale batch belongs to a partition this member no longer owns; its
+  // handled messages will be replayed by the new owner.
+  if (lastHandled === undefined || isStale()) {
+    opts.release?.(topic, partition);
+    return;
+  }
+
+  const next = (BigInt(lastHandled) + 1n).toString();
+  try {
+    if (opts.commit) {
+      await opts.commit(topic, partition, next);
+    } else {
+      await consumer.commitOffsets([{ topic, partition, offset: next }]);
+    }
+  } catch (err) {
+    opts.release?.(topic, partition);
+    throw err;
+  }
+
+  // Only advance the local fetch position once the commit succeeded; KafkaJS
+  // retries a failed batch from the last resolved offset, not the committed one.
+  resolveOffset(lastHandled);
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════════════════════
+// PAUSE CONTROL
+// ═══════════════════════════════════════════════════════════════════════════════════════════════
+
+/**
+ * True when the partition is paused, by a topic-wide or a partition pause.
+ */
+function isPaused(consumer: Consumer, topic: string, partition: number): boolean {
+  return consumer.paused().some((tp) => tp.topic === topic && tp.partitions.includes(partition));
+}
+
+/**
+ * Reason-aware pause/resume control over a consumer's topics.
+ */
+export interface PauseController {
+  /** Pauses the topic on behalf of `reason`; a no-op if that reason already holds it */
+  pause(topic: string, reason: string): void;
+  /** Releases `reason`'s hold; the topic resumes once no reason holds it */
+  resume(topic: string, reason: string): void;
+  /** Reasons currently holding the topic paused */
+  reasons(topic: string): string[];
+}
+
+/**
+ * Creates a pause controller for a consumer.
+ *
+ * Several independent mechanisms (backpressure, operators, circuit breakers) may
+ * want a topic paused at the same time; tracking the reasons per topic ensures
+ * one of them resuming does not override another that still needs the pause.
+ *
+ * @param consumer - Running KafkaJS consumer
+ * @param onChange - Invoked with the topic, reason and new state on every change
+ * @returns Pause controller
+ */
+export function createPauseController(
+  consumer: Consumer,
+  onChange?: (topic: string, reason: string, paused: boolean) => void
+): PauseController {
+  const holds = new Map<string, Set<string>>();
+
+  return {
+    pause(topic, reason) {
+      const set = holds.get(topic) ?? new Set<string>();
+      if (set.has(reason)) return;
+      set.add(reason);
+      holds.set(topic, set);
+      if (set.size === 1) consumer.pause([{ topic }]);
+      onChange?.(topic, reason, true);
+    },
+
+    resume(topic, reason) {
+      const set = holds.get(topic);
+      if (!set?.delete(reason)) return;
+      if (!set.size) consumer.resume([{ topic }]);
+      onChange?.(topic, reason, false);
+    },
+
+    reasons(topic) {
+      return [...(holds.get(topic) ?? [])];
+    }
+  };
+}
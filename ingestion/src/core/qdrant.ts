@@ -1,31 +1,54 @@
 import { QdrantClient } from "@qdrant/qdrant-js";
+import { SpanKind } from "@opentelemetry/api";
+import type { EnvConfig } from "./config.js";
+import { withSpan } from "./tracing.js";
 
 /**
  * @fileoverview Qdrant vector database client configuration and utility functions.
  * 
- * Provides a configured Qdrant client instance and convenience functions for
- * vector operations including point upserts and similarity searches.
+ * Provides a Qdrant client factory and convenience functions for vector
+ * operations including point upserts and similarity searches. Every client
+ * method call is traced as `qdrant.<method>`.
  */
 
 // ═══════════════════════════════════════════════════════════════════════════════════════════════
 // CLIENT CONFIGURATION
 // ═══════════════════════════════════════════════════════════════════════════════════════════════
 
-const url = process.env.QDRANT_URL;
-if (!url) {
-  throw new Error("QDRANT_URL environment variable is required");
-}
-
-const apiKey = process.env.QDRANT_API_KEY;
+/** Client methods that do not call Qdrant and are left untraced */
+const UNTRACED = new Set<PropertyKey>(["constructor", "api"]);
 
 /**
- * Configured Qdrant client instance for vector database operations.
+ * Creates a Qdrant client for vector database operations.
  * 
- * Requires the following environment variables:
- * - QDRANT_URL: Qdrant server URL
- * - QDRANT_API_KEY: Authentication API key (optional for development)
+ * @param config - Qdrant section of the environment configuration
+ * @returns Traced client instance
  */
-export const qdrant = new QdrantClient({ url, apiKey });
+export function createQdrantClient(config: EnvConfig["qdrant"]): QdrantClient {
+  const client = new QdrantClient({ url: config.url, apiKey: config.apiKey || undefined });
+
+  // All other public methods are async REST calls; wrap each in a span
+  return new Proxy(client, {
+    get(target, prop) {
+      const value = Reflect.get(target, prop, target);
+      if (typeof value !== "function" || typeof prop !== "string" || UNTRACED.has(prop) || prop.startsWith("_")) {
+        return value;
+      }
+      return (...args: unknown[]) => withSpan(
+        `qdrant.${prop}`,
+        {
+          kind: SpanKind.CLIENT,
+          attributes: {
+            "db.system.name": "qdrant",
+            "db.operation.name": prop,
+            ...(typeof args[0] === "string" && { "db.collection.name": args[0] })
+          }
+        },
+        async () => value.apply(target, args)
+      );
+    }
+  });
+}
 
 // ═══════════════════════════════════════════════════════════════════════════════════════════════
 // UTILITY FUNCTIONS
@@ -34,23 +57,25 @@ export const qdrant = new QdrantClient({ url, apiKey });
 /**
  * Upserts points into a Qdrant collection.
  * 
+ * @param qdrant - Qdrant client
  * @param collection - Name of the target collection
  * @param points - Array of points to upsert
  * @throws {Error} When upsert operation fails
  */
-export async function upsertPoints(collection: string, points: any[]): Promise<void> {
+export async function upsertPoints(qdrant: QdrantClient, collection: string, points: any[]): Promise<void> {
   await qdrant.upsert(collection, { points });
 }
 
 /**
  * Performs vector similarity search in a Qdrant collection.
  * 
+ * @param qdrant - Qdrant client
  * @param collection - Name of the target collection
  * @param vector - Query vector for similarity search
  * @param topK - Number of most similar results to return (default: 10)
  * @returns Promise resolving to search results
  * @throws {Error} When search operation fails
  */
-export async function search(collection: string, vector: number[], topK = 10) {
+export async function search(qdrant: QdrantClient, collection: string, vector: number[], topK = 10) {
   return qdrant.search(collection, { vector, limit: topK });
 }
\ No newline at end of file
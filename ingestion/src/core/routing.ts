@@ -0,0 +1,112 @@
+/**
+ * @fileoverview Routing of tool names and event types to plugins.
+ *
+ * Plugin keys in plugins.yaml are matched against a message's tool name
+ * (normalizers) or event type (upserters). Besides exact keys, a key may be a
+ * glob (`nmap_*`, `SENSOR_?`), a regular expression written between slashes
+ * (`/^nmap_(tcp|udp)$/i`), or the catch-all `*`.
+ *
+ * **Precedence**, first match wins:
+ * 1. Exact key
+ * 2. Globs, most specific first: more literal (non-wildcard) characters win,
+ *    ties keep plugins.yaml order
+ * 3. Regular expressions, in plugins.yaml order
+ * 4. The catch-all `*`
+ */
+
+// ═══════════════════════════════════════════════════════════════════════════════════════════════
+// TYPE DEFINITIONS
+// ═══════════════════════════════════════════════════════════════════════════════════════════════
+
+/**
+ * A parsed routing key.
+ */
+export type RouteKey =
+  | { type: "exact"; key: string }
+  | { type: "glob"; key: string; pattern: RegExp; literals: number }
+  | { type: "regex"; key: string; pattern: RegExp }
+  | { type: "catchAll"; key: string };
+
+/**
+ * Resolves a tool name or event type to the plugin registered for it.
+ */
+export type Router<T> = (name: string) => T | undefined;
+
+/** Number of resolved names a router remembers before its cache is reset */
+const CACHE_LIMIT = 1000;
+
+// ═══════════════════════════════════════════════════════════════════════════════════════════════
+// KEY PARSING
+// ═══════════════════════════════════════════════════════════════════════════════════════════════
+
+/**
+ * Parses a plugins.yaml key into a routing key.
+ *
+ * @param key - Key as written in plugins.yaml
+ * @returns Parsed key
+ * @throws {SyntaxError} When a `/.../flags` key is not a valid regular expression, or uses
+ * the stateful `g` or `y` flags
+ */
+export function parseRouteKey(key: string): RouteKey {
+  if (key === "*") return { type: "catchAll", key };
+
+  const regex = key.match(/^\/(.+)\/([a-z]*)$/);
+  if (regex) {
+    if (/[gy]/.test(regex[2])) throw new SyntaxError(`Flags g and y are not supported in routing key ${key}`);
+    return { type: "regex", key, pattern: new RegExp(regex[1], regex[2]) };
+  }
+
+  if (/[*?]/.test(key)) {
+    const source = key
+      .split("")
+      .map((c) => (c === "*" ? ".*" : c === "?" ? "." : c.replace(/[.+^${}()|[\]\\]/g, "\\$&")))
+      .join("");
+    return { type: "glob", key, pattern: new RegExp(`^${source}$`), literals: key.replace(/[*?]/g, "").length };
+  }
+
+  return { type: "exact", key };
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════════════════════
+// ROUTER
+// ═══════════════════════════════════════════════════════════════════════════════════════════════
+
+/**
+ * Creates a router over plugin entries keyed as in plugins.yaml.
+ *
+ * @param entries - Plugins by key, in plugins.yaml order
+ * @returns Router applying the precedence described in the module overview
+ * @throws {SyntaxError} When a regular expression key is invalid
+ */
+export function createRouter<T>(entries: Readonly<Record<string, T>>): Router<T> {
+  const keys = Object.keys(entries).map(parseRouteKey);
+  const exact = new Set(keys.flatMap((k) => (k.type === "exact" ? [k.key] : [])));
+  const globs = keys
+    .flatMap((k) => (k.type === "glob" ? [k] : []))
+    // Array#sort is stable, so equally specific globs keep file order
+    .sort((a, b) => b.literals - a.literals);
+  const regexes = keys.flatMap((k) => (k.type === "regex" ? [k] : []));
+  const catchAll = keys.find((k) => k.type === "catchAll");
+
+  const cache = new Map<string, string | null>();
+
+  const resolveKey = (name: string): string | null => {
+    if (exact.has(name)) return name;
+    return (
+      globs.find((g) => g.pattern.test(name))?.key ??
+      regexes.find((r) => r.pattern.test(name))?.key ??
+      catchAll?.key ??
+      null
+    );
+  };
+
+  return (name) => {
+    let key = cache.get(name);
+    if (key === undefined) {
+      if (cache.size >= CACHE_LIMIT) cache.clear();
+      key = resolveKey(name);
+      cache.set(name, key);
+    }
+    return key === null ? undefined : entries[key];
+  };
+}
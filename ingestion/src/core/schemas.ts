@@ -1,4 +1,8 @@
 import { z } from "zod";
+import type { Logger } from "pino";
+import type { Driver } from "neo4j-driver";
+import type { QdrantClient } from "@qdrant/qdrant-js";
+import type { S3Client } from "@aws-sdk/client-s3";
 
 /**
  * @fileoverview Core schema definitions and type interfaces for the ingestion service.
@@ -6,6 +10,7 @@ import { z } from "zod";
  * This module defines the contract between different components of the ingestion pipeline:
  * - Raw message validation from external tools
  * - Domain event structure for internal processing
+ * - Dead-letter envelope for failed messages
  * - Plugin interfaces for normalizers and upserters
  */
 
@@ -17,6 +22,7 @@ import { z } from "zod";
 export const RawMessageSchema = z.object({
   tool: z.string().min(1),
   runId: z.string().min(1),
+  schemaVersion: z.string().optional(),
   data: z.unknown()
 });
 export type RawMessage = z.infer<typeof RawMessageSchema>;
@@ -36,6 +42,183 @@ export const DomainEventSchema = z.object({
 });
 export type DomainEvent = z.infer<typeof DomainEventSchema>;
 
+/**
+ * A single Zod validation issue, flattened for DLQ records and logs.
+ * `expected` and `received` are set when they can be described for the issue's code;
+ * `received` gives the value's type and size, never its content.
+ */
+export const SchemaIssueSchema = z.object({
+  /** Dotted path to the offending field, e.g. `event.fingerprint` or `[2].meta` */
+  path: z.string(),
+  code: z.string(),
+  message: z.string(),
+  expected: z.string().optional(),
+  received: z.string().optional()
+});
+export type SchemaIssue = z.infer<typeof SchemaIssueSchema>;
+
+/**
+ * Schema for dead-letter records published to the DLQ topic.
+ * Wraps the original message bytes together with where they came from, why
+ * processing failed, and which plugin was running, so entries can be triaged
+ * and replayed to their source topic. The same fields are mirrored into Kafka
+ * headers (see `DlqHeaders`) for filtering without parsing the value.
+ */
+export const DlqEnvelopeSchema = z.object({
+  dlqVersion: z.literal(1),
+  source: z.object({
+    topic: z.string().min(1),
+    partition: z.number().int().nonnegative(),
+    offset: z.string(),
+    key: z.string().nullable(),
+    timestamp: z.string().optional(),
+    /** Headers of the failed message (lineage, trace context), restored on replay */
+    headers: z.record(z.union([z.string(), z.array(z.string())])).optional()
+  }),
+  error: z.object({
+    name: z.string(),
+    message: z.string(),
+    /** Validation issues, for `SchemaViolationError` */
+    issues: z.array(SchemaIssueSchema).optional()
+  }),
+  attempts: z.number().int().positive(),
+  plugin: z.object({
+    kind: z.enum(["normalizer", "upserter"]),
+    name: z.string(),
+    module: z.string().optional()
+  }).nullable(),
+  tool: z.string().nullable(),
+  eventType: z.string().nullable(),
+  failedAt: z.string(),
+  payload: z.string()
+});
+export type DlqEnvelope = z.infer<typeof DlqEnvelopeSchema>;
+
+/**
+ * Kafka header names carried by every DLQ record.
+ */
+export const DlqHeaders = {
+  version: "x-dlq-version",
+  sourceTopic: "x-dlq-source-topic",
+  sourcePartition: "x-dlq-source-partition",
+  sourceOffset: "x-dlq-source-offset",
+  errorName: "x-dlq-error-name",
+  errorMessage: "x-dlq-error-message",
+  attempts: "x-dlq-attempts",
+  plugin: "x-dlq-plugin",
+  tool: "x-dlq-tool",
+  eventType: "x-dlq-event-type",
+  failedAt: "x-dlq-failed-at",
+  replayedFrom: "x-dlq-replayed-from"
+} as const;
+
+/**
+ * Kafka header names added to messages parked on the unrouted topic. The original
+ * key, value and headers are kept, so a parked message can be re-published as is
+ * once a plugin for it exists.
+ */
+export const UnroutedHeaders = {
+  sourceTopic: "x-unrouted-source-topic",
+  sourcePartition: "x-unrouted-source-partition",
+  sourceOffset: "x-unrouted-source-offset",
+  stage: "x-unrouted-stage",
+  name: "x-unrouted-name",
+  reason: "x-unrouted-reason",
+  parkedAt: "x-unrouted-parked-at"
+} as const;
+
+/**
+ * Why no plugin handled a message: none is routed for its tool or event type, or
+ * the routed plugins do not accept its version.
+ */
+export interface UnroutedInfo {
+  stage: "normalize" | "upsert";
+  /** Tool name or event type */
+  name: string;
+  reason: "no_plugin" | "version";
+}
+
+/**
+ * Kafka header names carrying the lineage of produced domain events (see `Lineage`).
+ */
+export const LineageHeaders = {
+  runId: "x-lineage-run-id",
+  tool: "x-lineage-tool",
+  sourceTopic: "x-lineage-source-topic",
+  sourcePartition: "x-lineage-source-partition",
+  sourceOffset: "x-lineage-source-offset",
+  normalizer: "x-lineage-normalizer",
+  normalizerVersion: "x-lineage-normalizer-version",
+  ingestedAt: "x-lineage-ingested-at"
+} as const;
+
+/**
+ * Origin of a domain event: the raw message and normalizer that produced it.
+ */
+export interface Lineage {
+  /** Agent run id from the raw message */
+  runId: string;
+  tool: string;
+  /** Raw topic, partition and offset of the source message */
+  sourceTopic: string;
+  sourcePartition: number;
+  sourceOffset: string;
+  /** Normalizer registry key and module version */
+  normalizer: string;
+  normalizerVersion: string;
+  /** When the event was normalized (ISO 8601) */
+  ingestedAt: string;
+}
+
+/**
+ * Storage clients shared with plugins. Owned by the service, which closes them on shutdown.
+ */
+export interface PluginStorage {
+  neo4j: Driver;
+  qdrant: QdrantClient;
+  minio: S3Client;
+}
+
+/**
+ * Metric helpers scoped to one plugin.
+ *
+ * Metrics are registered once as `ingestion_plugin_<name>` with a `plugin` label that
+ * is filled in automatically; every plugin using the same name must declare the same
+ * label names. Values passed to `labels` must cover the declared label names.
+ */
+export interface PluginMetrics {
+  counter(name: string, help: string, labelNames?: string[]): {
+    inc(value?: number, labels?: Record<string, string>): void;
+  };
+  gauge(name: string, help: string, labelNames?: string[]): {
+    set(value: number, labels?: Record<string, string>): void;
+  };
+  histogram(name: string, help: string, labelNames?: string[], buckets?: number[]): {
+    observe(value: number, labels?: Record<string, string>): void;
+  };
+}
+
+/**
+ * Context passed to normalizers and upserters on every call, and to the `init` hook.
+ * Plugins use it instead of importing core singletons, so they can be exercised
+ * with fakes and hold no global state of their own.
+ */
+export interface PluginContext {
+  /** Registry key: the tool name for normalizers, `<event type>/<sink>` for upserters */
+  name: string;
+  kind: "normalizer" | "upserter";
+  /** The plugin's `config` block from plugins.yaml */
+  config: Readonly<Record<string, unknown>>;
+  /** Logger whose records carry the plugin kind and name, and on calls the message's correlation fields */
+  logger: Logger;
+  metrics: PluginMetrics;
+  storage: PluginStorage;
+  /** Aborted when the call times out, the plugin version is unloaded, or the service shuts down */
+  signal: AbortSignal;
+  /** Origin of the domain event being upserted; unset for normalizers and events without lineage headers */
+  lineage?: Readonly<Lineage>;
+}
+
 /**
  * Interface for normalizer plugins that transform raw tool output into domain events.
  * Normalizers are tool-specific and handle the conversion from external formats
@@ -45,10 +228,14 @@ export interface INormalizer {
   /**
    * Transforms raw message data into standardized domain events.
    * 
+   * May be asynchronous, e.g. to enrich events with reference data, objects from
+   * MinIO, or embeddings. Calls are bounded by a timeout that aborts `ctx.signal`.
+   *
    * @param raw - Raw message from Kafka raw topic
+   * @param ctx - Plugin context, including the plugin's configuration
    * @returns Array of domain events, or null if the message cannot be processed
    */
-  (raw: RawMessage): DomainEvent[] | null;
+  (raw: RawMessage, ctx: PluginContext): DomainEvent[] | null | Promise<DomainEvent[] | null>;
 }
 
 /**
@@ -61,17 +248,45 @@ export interface IUpserter {
    * Persists a domain event to the configured storage system.
    * 
    * @param event - Validated domain event to be persisted
+   * @param ctx - Plugin context, including the plugin's configuration
    * @returns Promise that resolves when the upsert operation completes
    * @throws {Error} When persistence operation fails
    */
-  (event: DomainEvent): Promise<void>;
+  (event: DomainEvent, ctx: PluginContext): Promise<void>;
+}
+
+/**
+ * Optional lifecycle hooks a plugin module may export next to its default function.
+ *
+ * - `init` runs once per loaded module version, before the plugin handles any message;
+ *   use it to create constraints, collections or buckets. A failing `init` fails the load.
+ * - `healthCheck` runs on every readiness probe; reject (or throw) to report the plugin unhealthy.
+ * - `shutdown` runs when the module version is unloaded by a reload or when the service
+ *   stops, after in-flight calls to the plugin have finished.
+ */
+export interface IPluginLifecycle {
+  init?(ctx: PluginContext): Promise<void> | void;
+  healthCheck?(): Promise<unknown> | unknown;
+  shutdown?(): Promise<void> | void;
+}
+
+/**
+ * Optional settings a plugin module may export next to its default function.
+ */
+export interface PluginModuleOptions {
+  /**
+   * Paths of sensitive fields in the messages the plugin handles (the raw message
+   * for normalizers, the domain event for upserters), e.g. `data.auth.password`.
+   * They are redacted from payloads the plugin logs under `payload` with `ctx.logger`.
+   */
+  sensitiveFields?: readonly string[];
 }
 
 /**
  * Expected structure of dynamically imported normalizer plugin modules.
  * Each normalizer plugin must export a default function conforming to INormalizer.
  */
-export interface INormalizerModule {
+export interface INormalizerModule extends IPluginLifecycle, PluginModuleOptions {
   default: INormalizer;
 }
 
@@ -79,6 +294,6 @@ export interface INormalizerModule {
  * Expected structure of dynamically imported upserter plugin modules.
  * Each upserter plugin must export a default function conforming to IUpserter.
  */
-export interface IUpserterModule {
+export interface IUpserterModule extends IPluginLifecycle, PluginModuleOptions {
   default: IUpserter;
-} 
\ No newline at end of file
+}
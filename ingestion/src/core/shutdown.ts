@@ -0,0 +1,173 @@
+import { createLogger, flushLogger } from "./logger.js";
+
+/**
+ * @fileoverview Graceful shutdown coordination for the ingestion service.
+ *
+ * Runs registered shutdown steps in two phases when the process receives
+ * SIGTERM/SIGINT or hits a fatal error:
+ * - **drain**: stop fetching and finish in-flight work, all bounded by one
+ *   shared deadline so a stuck backend cannot block the exit indefinitely
+ * - **close**: release client connections, bounded by a second shared deadline
+ *   that starts once draining ends, so close steps still run after a drain timeout.
+ *   Close steps run in reverse registration order: registering each client's step
+ *   as soon as the client is created closes it before the clients it was built
+ *   on, and a shutdown during startup closes exactly what exists so far
+ *
+ * The whole sequence therefore takes at most the drain plus the close timeout,
+ * which must fit in the orchestrator's grace period (docker-compose
+ * `stop_grace_period`) or the process is killed mid-close. Close steps the
+ * deadline leaves no time for are skipped.
+ *
+ * Steps that fail or time out, together with whatever the registered reporters
+ * say is still outstanding, are logged as abandoned before the process exits.
+ */
+
+const logger = createLogger("shutdown");
+
+// ═══════════════════════════════════════════════════════════════════════════════════════════════
+// TYPE DEFINITIONS
+// ═══════════════════════════════════════════════════════════════════════════════════════════════
+
+/**
+ * Phase a shutdown step belongs to.
+ */
+export type ShutdownPhase = "drain" | "close";
+
+/**
+ * Options for the shutdown coordinator.
+ */
+export interface ShutdownOptions {
+  /** Deadline shared by all drain steps, in milliseconds */
+  drainTimeoutMs: number;
+  /** Deadline shared by all close steps, in milliseconds (default: 5000) */
+  closeTimeoutMs?: number;
+}
+
+/**
+ * Shutdown coordinator handle.
+ */
+export interface ShutdownCoordinator {
+  /** Registers a step; drain steps run in registration order, close steps in reverse */
+  register(phase: ShutdownPhase, name: string, run: () => Promise<void>): void;
+  /** Registers a reporter whose non-zero counts are listed as abandoned work */
+  report(name: string, count: () => number): void;
+  /**
+   * Installs SIGTERM/SIGINT and fatal error handlers. Call it before startup work, so
+   * a signal during startup runs the steps registered so far instead of killing the process.
+   */
+  install(): void;
+  /** True once shutdown has started */
+  isShuttingDown(): boolean;
+  /** Runs the shutdown sequence and exits the process */
+  shutdown(reason: string, exitCode?: number): Promise<void>;
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════════════════════
+// COORDINATOR FACTORY
+// ═══════════════════════════════════════════════════════════════════════════════════════════════
+
+/**
+ * Races a step against a timeout.
+ *
+ * @returns "ok", "timeout", or the error thrown by the step
+ */
+async function runBounded(run: () => Promise<void>, timeoutMs: number): Promise<"ok" | "timeout" | unknown> {
+  let timer: NodeJS.Timeout | undefined;
+  const timeout = new Promise<"timeout">((resolve) => {
+    timer = setTimeout(() => resolve("timeout"), Math.max(0, timeoutMs));
+  });
+  try {
+    return await Promise.race([run().then(() => "ok" as const), timeout]);
+  } catch (err) {
+    return err;
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+/**
+ * Creates a shutdown coordinator.
+ *
+ * @param opts - Drain and close deadlines
+ * @returns Coordinator instance
+ */
+export function createShutdownCoordinator(opts: ShutdownOptions): ShutdownCoordinator {
+  const closeTimeoutMs = opts.closeTimeoutMs ?? 5000;
+  const steps: { phase: ShutdownPhase; name: string; run: () => Promise<void> }[] = [];
+  const reporters: { name: string; count: () => number }[] = [];
+  let started = false;
+
+  async function shutdown(reason: string, exitCode = 0): Promise<void> {
+    if (started) return;
+    started = true;
+    logger.info({ reason, drainTimeoutMs: opts.drainTimeoutMs, closeTimeoutMs }, "shutdown started");
+
+    const abandoned: Record<string, unknown> = {};
+
+    for (const phase of ["drain", "close"] as const) {
+      const deadline = Date.now() + (phase === "drain" ? opts.drainTimeoutMs : closeTimeoutMs);
+      const phaseSteps = steps.filter((s) => s.phase === phase);
+      if (phase === "close") phaseSteps.reverse();
+      for (const step of phaseSteps) {
+        const budget = deadline - Date.now();
+        const outcome = budget > 0 ? await runBounded(step.run, budget) : "skipped";
+        if (outcome === "ok") continue;
+
+        abandoned[step.name] =
+          outcome === "timeout" ? "timed out"
+          : outcome === "skipped" ? "skipped, deadline passed"
+          : String((outcome as Error)?.message ?? outcome);
+        logger.warn({ step: step.name, outcome: abandoned[step.name] }, "shutdown step did not complete");
+      }
+    }
+
+    for (const reporter of reporters) {
+      const count = reporter.count();
+      if (count > 0) abandoned[reporter.name] = count;
+    }
+
+    if (Object.keys(abandoned).length) {
+      logger.warn({ reason, abandoned }, "shutdown finished with abandoned work");
+    } else {
+      logger.info({ reason }, "shutdown finished cleanly");
+    }
+    await flushLogger();
+    process.exit(exitCode);
+  }
+
+  return {
+    register(phase, name, run) {
+      steps.push({ phase, name, run });
+    },
+
+    report(name, count) {
+      reporters.push({ name, count });
+    },
+
+    install() {
+      for (const signal of ["SIGTERM", "SIGINT"] as const) {
+        process.on(signal, () => {
+          if (started) {
+            logger.warn({ signal }, "second signal received; exiting immediately");
+            process.exit(1);
+          }
+          void shutdown(signal);
+        });
+      }
+      process.on("uncaughtException", (err) => {
+        logger.fatal({ err }, "uncaught exception");
+        void shutdown("uncaughtException", 1);
+      });
+      process.on("unhandledRejection", (err) => {
+        logger.fatal({ err }, "unhandled promise rejection");
+        void shutdown("unhandledRejection", 1);
+      });
+    },
+
+    isShuttingDown() {
+      return started;
+    },
+
+    shutdown
+  };
+}
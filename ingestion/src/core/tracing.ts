@@ -0,0 +1,282 @@
+import { appendFile } from "node:fs/promises";
+import {
+  context,
+  propagation,
+  trace,
+  ROOT_CONTEXT,
+  SpanStatusCode,
+  type Attributes,
+  type Context,
+  type Link,
+  type Span,
+  type SpanKind,
+  type TextMapGetter
+} from "@opentelemetry/api";
+import {
+  ExportResultCode,
+  hrTimeToMilliseconds,
+  hrTimeToTimeStamp,
+  suppressTracing,
+  type ExportResult
+} from "@opentelemetry/core";
+import { OTLPTraceExporter } from "@opentelemetry/exporter-trace-otlp-http";
+import { resourceFromAttributes } from "@opentelemetry/resources";
+import {
+  BatchSpanProcessor,
+  ConsoleSpanExporter,
+  SimpleSpanProcessor,
+  type ReadableSpan,
+  type SpanExporter,
+  type SpanProcessor
+} from "@opentelemetry/sdk-trace-base";
+import { NodeTracerProvider } from "@opentelemetry/sdk-trace-node";
+import { ATTR_SERVICE_NAME } from "@opentelemetry/semantic-conventions";
+import type { IHeaders } from "kafkajs";
+import type { EnvConfig } from "./config.js";
+
+/**
+ * @fileoverview OpenTelemetry tracing for the ingestion pipeline.
+ *
+ * One agent run can be followed from the raw message through normalization,
+ * the domain event and every upsert into Neo4j, Qdrant and MinIO. Trace context
+ * travels between stages in W3C `traceparent`/`tracestate` Kafka headers: each
+ * consumed message continues the trace found in its headers, and every message
+ * the pipeline produces (domain events, DLQ entries) carries the context of the
+ * span that produced it.
+ *
+ * Exporters, selected with `TRACING_EXPORTER`:
+ * - `none` – tracing disabled; spans are no-ops and no headers are added
+ * - `otlp` – OTLP over HTTP to the collector in the tracing config section (`OTEL_EXPORTER_OTLP_*`)
+ * - `console` – spans printed to stdout as they end
+ * - `file` – one JSON object per span appended to `TRACING_FILE`, for offline inspection
+ */
+
+// ═══════════════════════════════════════════════════════════════════════════════════════════════
+// TYPE DEFINITIONS
+// ═══════════════════════════════════════════════════════════════════════════════════════════════
+
+/**
+ * Handle for the registered tracer provider.
+ */
+export interface Tracing {
+  /** Exports spans still buffered and stops the provider */
+  shutdown(): Promise<void>;
+}
+
+/**
+ * Options for `withSpan`.
+ */
+export interface SpanOptions {
+  kind?: SpanKind;
+  attributes?: Attributes;
+  /** Spans in other traces this one relates to, e.g. the messages a batch carries */
+  links?: Link[];
+  /** Parent context (default: the active context) */
+  parent?: Context;
+}
+
+/** Tracer used by the service; a no-op until `initTracing` registers a provider */
+export const tracer = trace.getTracer("ingestion");
+
+// ═══════════════════════════════════════════════════════════════════════════════════════════════
+// INITIALIZATION
+// ═══════════════════════════════════════════════════════════════════════════════════════════════
+
+/**
+ * Creates the OTLP/HTTP exporter from the tracing config, so the collector can be
+ * set in the config file or through `_FILE` secrets like any other setting.
+ */
+function createOtlpExporter(config: EnvConfig["tracing"]): SpanExporter {
+  const url = config.otlpTracesEndpoint ?? `${config.otlpEndpoint.replace(/\/+$/, "")}/v1/traces`;
+  return new OTLPTraceExporter({ url, headers: config.otlpHeaders });
+}
+
+/**
+ * Registers the global tracer provider, context manager and W3C propagator.
+ *
+ * @param config - Tracing section of the environment configuration
+ * @returns Tracing handle; shut it down last so spans from the shutdown itself are exported
+ */
+export function initTracing(config: EnvConfig["tracing"]): Tracing {
+  if (config.exporter === "none") return { shutdown: async () => {} };
+
+  const spanProcessors: SpanProcessor[] = [
+    config.exporter === "console"
+      ? new SimpleSpanProcessor(new ConsoleSpanExporter())
+      : new BatchSpanProcessor(
+          config.exporter === "file" ? createFileSpanExporter(config.filePath) : createOtlpExporter(config)
+        )
+  ];
+
+  const provider = new NodeTracerProvider({
+    resource: resourceFromAttributes({ [ATTR_SERVICE_NAME]: config.serviceName }),
+    spanProcessors
+  });
+  provider.register();
+
+  return { shutdown: () => provider.shutdown() };
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════════════════════
+// SPANS
+// ═══════════════════════════════════════════════════════════════════════════════════════════════
+
+/**
+ * Runs `fn` inside a new active span, ending it when `fn` settles. Errors are
+ * recorded on the span and rethrown.
+ *
+ * @param name - Span name
+ * @param opts - Span kind, attributes and parent context
+ * @param fn - Operation to trace; receives the span to add attributes to
+ * @returns Result of `fn`
+ */
+export function withSpan<T>(name: string, opts: SpanOptions, fn: (span: Span) => Promise<T>): Promise<T> {
+  const parent = opts.parent ?? context.active();
+  const { kind, attributes, links } = opts;
+  return tracer.startActiveSpan(name, { kind, attributes, links }, parent, async (span) => {
+    try {
+      const result = await fn(span);
+      endSpan(span);
+      return result;
+    } catch (err) {
+      endSpan(span, err);
+      throw err;
+    }
+  });
+}
+
+/**
+ * Runs `fn` with tracing suppressed: spans it starts, including storage client
+ * spans, are not recorded. Used for health probes, which would otherwise flood
+ * traces with a few spans per `/readyz` request.
+ *
+ * @param fn - Operation to run untraced
+ * @returns Result of `fn`
+ */
+export function withoutTracing<T>(fn: () => T): T {
+  return context.with(suppressTracing(context.active()), fn);
+}
+
+/**
+ * Ends a span, recording `err` as its exception and error status when given.
+ *
+ * @param span - Span to end
+ * @param err - Error the traced operation failed with
+ */
+export function endSpan(span: Span, err?: unknown): void {
+  if (err !== undefined) recordError(span, err);
+  span.end();
+}
+
+/**
+ * Marks a span as failed without ending it, for errors that are handled rather
+ * than thrown (e.g. a message sent to the DLQ).
+ *
+ * @param span - Span to mark; ignored when undefined
+ * @param err - Error to record as the span's exception
+ */
+export function recordError(span: Span | undefined, err: unknown): void {
+  if (!span) return;
+  span.recordException(err instanceof Error ? err : String(err));
+  span.setStatus({ code: SpanStatusCode.ERROR, message: err instanceof Error ? err.message : String(err) });
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════════════════════
+// KAFKA PROPAGATION
+// ═══════════════════════════════════════════════════════════════════════════════════════════════
+
+/** Reads propagation fields from KafkaJS headers, whose values may be buffers */
+const headerGetter: TextMapGetter<IHeaders> = {
+  keys: (headers) => Object.keys(headers),
+  get: (headers, key) => {
+    const value = headers[key];
+    if (value === undefined) return undefined;
+    return Array.isArray(value) ? value.map(String) : String(value);
+  }
+};
+
+/**
+ * Extracts the trace context a consumed message was produced in.
+ *
+ * @param headers - Kafka message headers
+ * @returns Context to parent the message's spans on; the active context when the headers carry none
+ */
+export function traceContextFromHeaders(headers: IHeaders | undefined): Context {
+  return propagation.extract(context.active(), headers ?? {}, headerGetter);
+}
+
+/**
+ * Builds span links to the traces a set of messages were produced in, for spans
+ * such as a batch flush that act on messages from many traces at once.
+ *
+ * @param messages - Messages whose headers may carry trace context
+ * @returns One link per message carrying a valid trace context
+ */
+export function linksFromHeaders(messages: Iterable<{ headers?: IHeaders }>): Link[] {
+  const links: Link[] = [];
+  for (const { headers } of messages) {
+    if (!headers) continue;
+    const spanContext = trace.getSpanContext(propagation.extract(ROOT_CONTEXT, headers, headerGetter));
+    if (spanContext && trace.isSpanContextValid(spanContext)) links.push({ context: spanContext });
+  }
+  return links;
+}
+
+/**
+ * Serializes the active trace context into Kafka headers.
+ *
+ * @returns `traceparent` (and `tracestate`) headers; empty when tracing is disabled
+ */
+export function traceHeaders(): Record<string, string> {
+  const headers: Record<string, string> = {};
+  propagation.inject(context.active(), headers);
+  return headers;
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════════════════════
+// FILE EXPORTER
+// ═══════════════════════════════════════════════════════════════════════════════════════════════
+
+/**
+ * Creates an exporter appending one JSON line per span to a file.
+ *
+ * @param path - Output file, created if missing
+ * @returns Span exporter; writes are serialized so lines never interleave
+ */
+function createFileSpanExporter(path: string): SpanExporter {
+  let writes: Promise<void> = Promise.resolve();
+
+  const toJson = (span: ReadableSpan) => ({
+    traceId: span.spanContext().traceId,
+    spanId: span.spanContext().spanId,
+    parentSpanId: span.parentSpanContext?.spanId,
+    name: span.name,
+    kind: span.kind,
+    startTime: hrTimeToTimeStamp(span.startTime),
+    durationMs: hrTimeToMilliseconds(span.duration),
+    status: span.status,
+    attributes: span.attributes,
+    events: span.events.map((e) => ({ name: e.name, time: hrTimeToTimeStamp(e.time), attributes: e.attributes })),
+    links: span.links.map((l) => ({ traceId: l.context.traceId, spanId: l.context.spanId }))
+  });
+
+  return {
+    export(spans, resultCallback: (result: ExportResult) => void) {
+      const lines = spans.map((span) => JSON.stringify(toJson(span)) + "\n").join("");
+      writes = writes
+        .then(() => appendFile(path, lines))
+        .then(
+          () => resultCallback({ code: ExportResultCode.SUCCESS }),
+          (error) => resultCallback({ code: ExportResultCode.FAILED, error })
+        );
+    },
+
+    async shutdown() {
+      await writes;
+    },
+
+    async forceFlush() {
+      await writes;
+    }
+  };
+}
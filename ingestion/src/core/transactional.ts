@@ -0,0 +1,201 @@
+import type { Admin, Kafka, Message, Producer, ProducerConfig } from "kafkajs";
+import { chunkEntries } from "./buffer.js";
+import { createLogger } from "./logger.js";
+
+/**
+ * @fileoverview Exactly-once forwarding of derived messages using Kafka transactions.
+ *
+ * Buffers the messages derived from a consumed partition batch and, on commit,
+ * publishes them together with the consumer offset in a single producer
+ * transaction. Either both the output and the offset become visible, or neither
+ * does.
+ *
+ * KafkaJS cannot fence transactions by consumer group generation, so every
+ * source partition gets its own transactional producer, with the id
+ * `<prefix>-<topic>-<partition>` shared by every instance of the consumer group.
+ * When a partition moves to another instance, the new owner initializes that id
+ * before handling the partition. This fences the previous owner: its open
+ * transaction is aborted and its later commits fail. The new owner then re-reads
+ * the committed offset and skips what the previous owner already committed.
+ *
+ * The guarantee: for `read_committed` consumers of the output topics, each
+ * consumed raw message contributes its derived events exactly once, across
+ * crashes, restarts and rebalances. It holds only while every instance of the
+ * group uses the same prefix, and no other group uses it. Side effects outside
+ * Kafka (plugin calls, logs, metrics) may still repeat.
+ */
+
+const logger = createLogger("transactional");
+
+// ═══════════════════════════════════════════════════════════════════════════════════════════════
+// TYPE DEFINITIONS
+// ═══════════════════════════════════════════════════════════════════════════════════════════════
+
+/**
+ * Transactional forwarder settings.
+ */
+export interface TransactionalForwarderOptions {
+  /** Consumer group whose offsets are committed in the transactions */
+  consumerGroupId: string;
+  /** Prefix of the per-partition transactional ids; the same on every instance of the group */
+  transactionalIdPrefix: string;
+  /** Upper bound per producer request; larger outputs are split within the transaction */
+  maxBytes: number;
+  /** Options shared with the service's other producers, e.g. the partitioner */
+  producerConfig?: ProducerConfig;
+}
+
+/**
+ * Transactional forwarder bound to a consumer group.
+ */
+export interface TransactionalForwarder {
+  /**
+   * Takes over a source partition before its batch is handled, fencing any previous owner.
+   * Resolves to the partition's committed offset once claimed, or undefined when it was
+   * already claimed by this instance.
+   */
+  claim(topic: string, partition: number): Promise<string | undefined>;
+  /** Buffers messages derived from a consumed partition until its next commit */
+  buffer(source: { topic: string; partition: number }, topic: string, messages: Message[]): void;
+  /** Publishes the buffered messages and commits `offset` for the source partition atomically */
+  commit(topic: string, partition: number, offset: string): Promise<number>;
+  /** Discards buffered messages for a source partition whose batch will be replayed */
+  release(topic: string, partition: number): void;
+  /** Gives up the claims on partitions not in `assignment`, e.g. after a rebalance */
+  retain(assignment: Record<string, number[]>): void;
+  /** Disconnects every producer */
+  close(): Promise<void>;
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════════════════════
+// FORWARDER FACTORY
+// ═══════════════════════════════════════════════════════════════════════════════════════════════
+
+/**
+ * Creates a transactional forwarder.
+ *
+ * Producers are created per source partition when it is first claimed. A producer
+ * whose commit fails is dropped, since a fenced producer cannot be used again, and
+ * the partition is claimed anew before its next batch.
+ *
+ * @param kafka - Client the producers and the offset lookups are created from
+ * @param opts - Forwarder settings
+ * @returns Forwarder instance
+ */
+export function createTransactionalForwarder(kafka: Kafka, opts: TransactionalForwarderOptions): TransactionalForwarder {
+  const pending = new Map<string, Map<string, Message[]>>();
+  const producers = new Map<string, Producer>();
+  let admin: Promise<Admin> | undefined;
+
+  const keyOf = (topic: string, partition: number) => `${topic}:${partition}`;
+
+  const drop = (key: string) => {
+    const producer = producers.get(key);
+    if (!producer) return;
+    producers.delete(key);
+    producer.disconnect().catch((err) => logger.warn({ err, partition: key }, "transactional producer disconnect failed"));
+  };
+
+  async function committedOffset(topic: string, partition: number): Promise<string | undefined> {
+    admin ??= (async () => {
+      const client = kafka.admin();
+      await client.connect();
+      return client;
+    })().catch((err) => {
+      admin = undefined;
+      throw err;
+    });
+    const [offsets] = await (await admin).fetchOffsets({ groupId: opts.consumerGroupId, topics: [topic] });
+    const offset = offsets?.partitions.find((p) => p.partition === partition)?.offset;
+    return offset === undefined || offset === "-1" ? undefined : offset;
+  }
+
+  async function send(topic: string, partition: number, offset: string): Promise<number> {
+    const key = keyOf(topic, partition);
+    const byTopic = pending.get(key) ?? new Map<string, Message[]>();
+    pending.delete(key);
+
+    const producer = producers.get(key);
+    if (!producer) throw new Error(`Partition ${key} is not claimed by this instance`);
+
+    const topicMessages = [...byTopic].map(([target, messages]) => ({ topic: target, messages }));
+    const count = topicMessages.reduce((acc, tm) => acc + tm.messages.length, 0);
+
+    const transaction = await producer.transaction();
+    try {
+      for (const chunk of chunkEntries(topicMessages, opts.maxBytes)) {
+        await transaction.sendBatch({ topicMessages: chunk });
+      }
+      await transaction.sendOffsets({
+        consumerGroupId: opts.consumerGroupId,
+        topics: [{ topic, partitions: [{ partition, offset }] }]
+      });
+      await transaction.commit();
+    } catch (err) {
+      await transaction.abort().catch(() => undefined);
+      // Possibly fenced by a new owner; the partition must be claimed again
+      drop(key);
+      throw err;
+    }
+    return count;
+  }
+
+  return {
+    async claim(topic, partition) {
+      const key = keyOf(topic, partition);
+      if (producers.has(key)) return undefined;
+
+      const producer = kafka.producer({
+        ...opts.producerConfig,
+        transactionalId: `${opts.transactionalIdPrefix}-${topic}-${partition}`,
+        idempotent: true,
+        maxInFlightRequests: 1
+      });
+      let committed: string | undefined;
+      try {
+        await producer.connect();
+        // Initializing the transactional id fences the previous owner and completes its open transaction
+        await (await producer.transaction()).abort();
+        // Read after fencing, so it includes everything the previous owner committed
+        committed = await committedOffset(topic, partition);
+      } catch (err) {
+        await producer.disconnect().catch(() => undefined);
+        throw err;
+      }
+      producers.set(key, producer);
+      logger.debug({ topic, partition, committed }, "partition claimed");
+      return committed;
+    },
+
+    buffer(source, topic, messages) {
+      const key = keyOf(source.topic, source.partition);
+      const byTopic = pending.get(key) ?? new Map<string, Message[]>();
+      const list = byTopic.get(topic) ?? [];
+      list.push(...messages);
+      byTopic.set(topic, list);
+      pending.set(key, byTopic);
+    },
+
+    commit(topic, partition, offset) {
+      return send(topic, partition, offset);
+    },
+
+    release(topic, partition) {
+      pending.delete(keyOf(topic, partition));
+    },
+
+    retain(assignment) {
+      const assigned = new Set(Object.entries(assignment).flatMap(([topic, partitions]) => partitions.map((p) => keyOf(topic, p))));
+      for (const key of [...producers.keys()]) {
+        if (!assigned.has(key)) drop(key);
+      }
+    },
+
+    async close() {
+      const list = [...producers.values()];
+      producers.clear();
+      await Promise.allSettled(list.map((producer) => producer.disconnect()));
+      if (admin) await (await admin.catch(() => undefined))?.disconnect();
+    }
+  };
+}
@@ -0,0 +1,56 @@
+/**
+ * @fileoverview Concurrency limiter for async operations.
+ *
+ * Caps how many invocations of an operation run at the same time; excess
+ * callers wait in FIFO order until a slot frees up.
+ */
+
+/**
+ * Concurrency limiter handle.
+ */
+export interface Limiter {
+  /** Runs `fn` once a slot is free and releases the slot when it settles */
+  run<T>(fn: () => Promise<T>): Promise<T>;
+  /** Number of operations currently running */
+  readonly active: number;
+  /** Number of callers waiting for a slot */
+  readonly waiting: number;
+}
+
+/**
+ * Creates a concurrency limiter.
+ *
+ * @param max - Maximum concurrent operations; values below 1 are treated as unlimited
+ * @returns Limiter instance
+ *
+ * @example
+ * ```typescript
+ * const limit = createLimiter(2);
+ * await Promise.all(jobs.map((job) => limit.run(() => job())));
+ * ```
+ */
+export function createLimiter(max: number): Limiter {
+  const queue: (() => void)[] = [];
+  let active = 0;
+
+  return {
+    async run<T>(fn: () => Promise<T>): Promise<T> {
+      if (max >= 1 && active >= max) {
+        await new Promise<void>((resolve) => queue.push(resolve));
+      } else {
+        active += 1;
+      }
+      try {
+        return await fn();
+      } finally {
+        // Hand the slot straight to the next waiter, or release it
+        const next = queue.shift();
+        if (next) next();
+        else active -= 1;
+      }
+    },
+
+    get active() { return active; },
+    get waiting() { return queue.length; }
+  };
+}
@@ -1,50 +1,167 @@
 /**
- * @fileoverview Retry utility with exponential backoff and jitter.
- * 
+ * @fileoverview Retry utility with exponential backoff, jitter and error classification.
+ *
  * Provides resilient operation execution with configurable retry logic,
  * exponential backoff delays, and randomized jitter to prevent thundering
- * herd problems in distributed systems.
+ * herd problems in distributed systems. Errors are classified before each
+ * retry so permanent failures (Cypher syntax errors, constraint violations,
+ * malformed JSON, access denied) fail fast instead of burning every attempt.
  */
 
+/**
+ * Options for `retry`.
+ */
+export interface RetryOptions {
+  /** Maximum number of retry attempts (default: 3) */
+  retries?: number;
+  /** Base delay in milliseconds for exponential backoff (default: 200) */
+  baseMs?: number;
+  /**
+   * Returns false for errors that will fail again, which are then thrown without
+   * further attempts (default: `isRetryable`)
+   */
+  shouldRetry?: (err: unknown) => boolean;
+  /**
+   * Total time budget in milliseconds; no retry is started when its backoff delay
+   * would end past it (default: unlimited)
+   */
+  maxElapsedMs?: number;
+  /** Aborts the backoff wait and prevents further attempts */
+  signal?: AbortSignal;
+}
+
 /**
  * Retries a promise-returning operation with exponential backoff and jitter.
- * 
+ *
  * Uses exponential backoff with ±25% jitter to reduce the likelihood of
  * synchronized retries across multiple clients (thundering herd effect).
- * 
+ *
  * @template T - The return type of the operation function
  * @param fn - Promise-returning operation to execute and retry on failure
  * @param opts - Configuration options for retry behavior
- * @param opts.retries - Maximum number of retry attempts (default: 3)
- * @param opts.baseMs - Base delay in milliseconds for exponential backoff (default: 200)
  * @returns Promise resolving to the result of the first successful operation
- * @throws The final error from the last retry attempt if all attempts fail
- * 
+ * @throws The error from the last attempt when retries are exhausted, the error is not
+ * retryable, or the time budget is spent
+ * @throws The signal's abort reason when `opts.signal` is aborted between attempts
+ *
  * @example
  * ```typescript
- * const result = await retry(() => fetchData(), { retries: 5, baseMs: 100 });
+ * const result = await retry(() => fetchData(), { retries: 5, baseMs: 100, signal: ctx.signal });
  * ```
  */
-export async function retry<T>(
-  fn: () => Promise<T>,
-  opts: { retries?: number; baseMs?: number } = {}
-): Promise<T> {
-  const { retries = 3, baseMs = 200 } = opts;
+export async function retry<T>(fn: () => Promise<T>, opts: RetryOptions = {}): Promise<T> {
+  const { retries = 3, baseMs = 200, shouldRetry = isRetryable, maxElapsedMs = Infinity, signal } = opts;
+  const start = Date.now();
   let attempt = 0;
-  
+
   while (true) {
+    signal?.throwIfAborted();
     try {
       return await fn();
     } catch (err) {
       attempt += 1;
-      if (attempt > retries) throw err;
-      
+      if (attempt > retries || signal?.aborted || !shouldRetry(err)) throw err;
+
       // Calculate exponential backoff delay with randomized jitter
       const expDelay = baseMs * 2 ** (attempt - 1);
       const jitterFactor = 0.75 + Math.random() * 0.5; // Range: 0.75 - 1.25
       const delay = expDelay * jitterFactor;
-      
-      await new Promise((resolve) => setTimeout(resolve, delay));
+      if (Date.now() - start + delay > maxElapsedMs) throw err;
+
+      await sleep(delay, signal);
     }
   }
-} 
\ No newline at end of file
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════════════════════
+// ERROR CLASSIFICATION
+// ═══════════════════════════════════════════════════════════════════════════════════════════════
+
+/** Neo4j client error codes the driver itself treats as retryable */
+const NEO4J_RETRYABLE_CODES = new Set([
+  "ServiceUnavailable",
+  "SessionExpired",
+  "Neo.ClientError.Cluster.NotALeader",
+  "Neo.ClientError.General.ForbiddenOnReadOnlyDatabase",
+  "Neo.ClientError.Security.AuthorizationExpired"
+]);
+
+/** Neo4j transient error codes that will not succeed on retry */
+const NEO4J_FATAL_TRANSIENT_CODES = new Set([
+  "Neo.TransientError.Transaction.Terminated",
+  "Neo.TransientError.Transaction.LockClientStopped"
+]);
+
+/** AWS SDK error names that signal throttling or a transient server-side failure */
+const S3_RETRYABLE_NAMES = new Set([
+  "SlowDown",
+  "Throttling",
+  "ThrottlingException",
+  "TooManyRequestsException",
+  "RequestTimeout",
+  "RequestTimeTooSkewed",
+  "InternalError",
+  "ServiceUnavailable"
+]);
+
+/**
+ * Default retry classification.
+ *
+ * - Errors with `retryable: false` (e.g. `SchemaViolationError`), aborts and `SyntaxError`
+ *   (malformed JSON) are permanent
+ * - Neo4j errors are retried only for `Neo.TransientError.*` codes and lost connections;
+ *   client errors such as syntax errors and constraint violations are permanent
+ * - KafkaJS errors follow their `retriable` flag; when KafkaJS gave up after its own
+ *   retries, the underlying cause decides
+ * - AWS SDK (S3/MinIO) errors are retried when throttled, on 5xx, 408 and 429, and on
+ *   known transient error names; other 4xx responses (access denied, missing bucket) are permanent
+ * - An `AggregateError` is retried when any of its errors is
+ * - Anything else is assumed transient and retried
+ *
+ * @param err - Error thrown by the operation
+ * @returns True when another attempt may succeed
+ */
+export function isRetryable(err: unknown): boolean {
+  if (!(err instanceof Error)) return true;
+  const e = err as Error & Record<string, any>;
+
+  if (e.retryable === false) return false;
+  if (e.name === "AbortError" || e.name === "SyntaxError") return false;
+  if (err instanceof AggregateError) return err.errors.some(isRetryable);
+
+  if (typeof e.code === "string" && (e.name === "Neo4jError" || e.code.startsWith("Neo."))) {
+    if (NEO4J_RETRYABLE_CODES.has(e.code)) return true;
+    return e.code.startsWith("Neo.TransientError.") && !NEO4J_FATAL_TRANSIENT_CODES.has(e.code);
+  }
+
+  if (typeof e.retriable === "boolean") {
+    if (e.name === "KafkaJSNumberOfRetriesExceeded" && e.cause) return isRetryable(e.cause);
+    return e.retriable;
+  }
+
+  if (e.$metadata) {
+    if (e.$retryable) return true;
+    if (S3_RETRYABLE_NAMES.has(e.name)) return true;
+    const status = e.$metadata.httpStatusCode;
+    if (typeof status === "number") return status >= 500 || status === 408 || status === 429;
+  }
+
+  return true;
+}
+
+/**
+ * Waits for `ms`, rejecting early with the abort reason when `signal` aborts.
+ */
+function sleep(ms: number, signal?: AbortSignal): Promise<void> {
+  return new Promise((resolve, reject) => {
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(signal!.reason);
+    };
+    const timer = setTimeout(() => {
+      signal?.removeEventListener("abort", onAbort);
+      resolve();
+    }, ms);
+    signal?.addEventListener("abort", onAbort, { once: true });
+  });
+}
@@ -0,0 +1,77 @@
+/**
+ * @fileoverview Minimal version range matching for plugin targeting.
+ *
+ * Supports dotted numeric versions ("1", "1.2", "1.2.3") and ranges built from
+ * comparators (`>=`, `>`, `<=`, `<`, `=`), where space-separated comparators
+ * must all hold and `||` separates alternatives. Missing version components
+ * are treated as zero, so "1.0" equals "1.0.0".
+ *
+ * @example
+ * ```typescript
+ * satisfies("1.4", ">=1.0 <2.0");      // true
+ * satisfies("2.1", "1.0 || >=2.0");    // true
+ * satisfies("0.9", ">=1.0");           // false
+ * ```
+ */
+
+const COMPARATOR = /^(>=|<=|>|<|=)?\s*(\d+(?:\.\d+)*)$/;
+
+/**
+ * Parses a dotted numeric version.
+ *
+ * @returns Version components, or null when the string is not a version
+ */
+function parseVersion(version: string): number[] | null {
+  return /^\d+(\.\d+)*$/.test(version.trim()) ? version.trim().split(".").map(Number) : null;
+}
+
+/**
+ * Compares two parsed versions, padding missing components with zero.
+ */
+function compare(a: number[], b: number[]): number {
+  for (let i = 0; i < Math.max(a.length, b.length); i++) {
+    const diff = (a[i] ?? 0) - (b[i] ?? 0);
+    if (diff !== 0) return Math.sign(diff);
+  }
+  return 0;
+}
+
+/**
+ * Validates a version range expression.
+ *
+ * @param range - Range expression
+ * @returns True when every comparator in the range is well-formed
+ */
+export function isValidRange(range: string): boolean {
+  return range.split("||").every((alt) => {
+    const parts = alt.trim().split(/\s+/).filter(Boolean);
+    return parts.length > 0 && parts.every((p) => COMPARATOR.test(p));
+  });
+}
+
+/**
+ * Checks whether a version satisfies a range expression.
+ *
+ * @param version - Version to test
+ * @param range - Range expression
+ * @returns True when the version is valid and satisfies at least one alternative
+ */
+export function satisfies(version: string, range: string): boolean {
+  const v = parseVersion(version);
+  if (!v) return false;
+
+  return range.split("||").some((alt) =>
+    alt.trim().split(/\s+/).filter(Boolean).every((part) => {
+      const match = part.match(COMPARATOR);
+      if (!match) return false;
+      const cmp = compare(v, match[2].split(".").map(Number));
+      switch (match[1] ?? "=") {
+        case ">=": return cmp >= 0;
+        case "<=": return cmp <= 0;
+        case ">": return cmp > 0;
+        case "<": return cmp < 0;
+        default: return cmp === 0;
+      }
+    })
+  );
+}
@@ -0,0 +1,162 @@
+/**
+ * @fileoverview Schema violation reporting.
+ *
+ * Turns Zod validation failures into a `SchemaViolationError` carrying a flat
+ * list of issues (path, expected, received), so the DLQ record and logs show
+ * exactly which field broke. Schema violations are deterministic and are never
+ * retried (`retryable: false`).
+ *
+ * Received values are described by type and size only, never copied: the failing
+ * field may hold a secret, and issues end up in DLQ envelopes and error logs where
+ * neither log redaction nor plugin `sensitiveFields` apply.
+ */
+
+import type { ZodError, ZodIssue, ZodTypeAny } from "zod";
+import type { SchemaIssue } from "./schemas.js";
+
+/** Longest preview of an expected value kept in an issue */
+const PREVIEW_LIMIT = 120;
+
+/**
+ * Where in the pipeline a message failed validation.
+ * - `raw` – message on the raw topic against `RawMessageSchema`
+ * - `normalizer` – normalizer output against `DomainEventSchema`
+ * - `domain` – message on the domain topic against `DomainEventSchema`
+ */
+export type ValidationStage = "raw" | "normalizer" | "domain";
+
+/**
+ * Raised when a message or a normalizer's output fails schema validation.
+ */
+export class SchemaViolationError extends Error {
+  /** Read by `isRetryable`; validation fails the same way on every attempt */
+  readonly retryable = false;
+
+  constructor(readonly stage: ValidationStage, readonly issues: SchemaIssue[]) {
+    const [first] = issues;
+    const summary = first ? `${first.path || "(root)"}: ${first.message}` : "invalid";
+    const more = issues.length > 1 ? ` (+${issues.length - 1} more)` : "";
+    super(`${stage} schema violation at ${summary}${more}`);
+    this.name = "SchemaViolationError";
+  }
+}
+
+/**
+ * Validates a value, throwing a `SchemaViolationError` with flattened issues on failure.
+ *
+ * @param schema - Zod schema to validate against
+ * @param value - Value to validate
+ * @param stage - Pipeline stage, recorded on the error
+ * @returns Parsed value
+ * @throws {SchemaViolationError} When the value does not match the schema
+ */
+export function validate<S extends ZodTypeAny>(schema: S, value: unknown, stage: ValidationStage): S["_output"] {
+  const result = schema.safeParse(value);
+  if (!result.success) throw new SchemaViolationError(stage, flattenZodIssues(result.error, value));
+  return result.data;
+}
+
+/**
+ * Flattens Zod issues, including those nested in union errors.
+ *
+ * @param error - Zod error
+ * @param input - Value that was validated; used to preview received values Zod does not report
+ * @returns One entry per issue
+ */
+export function flattenZodIssues(error: ZodError, input: unknown): SchemaIssue[] {
+  return error.issues.flatMap((issue) =>
+    issue.code === "invalid_union"
+      ? issue.unionErrors.flatMap((e) => flattenZodIssues(e, input))
+      : [flattenIssue(issue, input)]
+  );
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════════════════════
+// HELPERS
+// ═══════════════════════════════════════════════════════════════════════════════════════════════
+
+/**
+ * Flattens one issue, describing what was expected and what was received.
+ */
+function flattenIssue(issue: ZodIssue, input: unknown): SchemaIssue {
+  const flat: SchemaIssue = { path: formatPath(issue.path), code: issue.code, message: withoutReceived(issue) };
+
+  switch (issue.code) {
+    case "invalid_type":
+      flat.expected = issue.expected;
+      flat.received = issue.received;
+      return flat;
+    case "invalid_literal":
+      flat.expected = preview(issue.expected);
+      break;
+    case "invalid_enum_value":
+      flat.expected = issue.options.map((o) => preview(o)).join(" | ");
+      break;
+    case "too_small":
+      flat.expected = `${issue.type} ${issue.inclusive ? ">=" : ">"} ${issue.minimum}`;
+      break;
+    case "too_big":
+      flat.expected = `${issue.type} ${issue.inclusive ? "<=" : "<"} ${issue.maximum}`;
+      break;
+    case "unrecognized_keys":
+      flat.received = issue.keys.join(", ");
+      return flat;
+  }
+
+  flat.received = describe(valueAt(input, issue.path));
+  return flat;
+}
+
+/**
+ * Returns the issue message without the received value Zod quotes for enum mismatches.
+ */
+function withoutReceived(issue: ZodIssue): string {
+  return issue.code === "invalid_enum_value" ? issue.message.replace(/, received '.*'$/s, "") : issue.message;
+}
+
+/**
+ * Formats a Zod path as `a.b[2].c`.
+ */
+function formatPath(path: (string | number)[]): string {
+  return path.reduce<string>(
+    (out, seg) => (typeof seg === "number" ? `${out}[${seg}]` : out ? `${out}.${seg}` : seg),
+    ""
+  );
+}
+
+/**
+ * Reads the value at a Zod path, or undefined when the path does not exist.
+ */
+function valueAt(input: unknown, path: (string | number)[]): unknown {
+  let value = input;
+  for (const seg of path) {
+    if (value === null || typeof value !== "object") return undefined;
+    value = (value as Record<string | number, unknown>)[seg];
+  }
+  return value;
+}
+
+/**
+ * Describes a received value by type and size, e.g. `string (12 chars)`, without its content.
+ */
+function describe(value: unknown): string {
+  if (value === null) return "null";
+  if (Array.isArray(value)) return `array (${value.length} items)`;
+  if (typeof value === "string") return `string (${value.length} chars)`;
+  if (typeof value === "object") return `object (${Object.keys(value).length} keys)`;
+  return typeof value;
+}
+
+/**
+ * Short JSON preview of a schema-defined value.
+ */
+function preview(value: unknown): string {
+  if (value === undefined) return "undefined";
+  let text: string;
+  try {
+    text = JSON.stringify(value) ?? String(value);
+  } catch {
+    text = String(value);
+  }
+  return text.length > PREVIEW_LIMIT ? `${text.slice(0, PREVIEW_LIMIT)}…` : text;
+}
@@ -1,7 +1,12 @@
-import { loadPluginConfig, getEnvConfig } from "./core/config.js";
-import { logger } from "./core/logger.js";
-import { initKafka } from "./core/kafka.js";
-import { driver } from "./core/neo4j.js";
+import { describeConfig, getConfigSection, getEnvConfig } from "./core/config.js";
+import { createLogger, flushLogger } from "./core/logger.js";
+import { initKafka, producerOptions } from "./core/kafka.js";
+import { createNeo4jDriver } from "./core/neo4j.js";
+import { createMinioClient } from "./core/minio.js";
+import { createQdrantClient } from "./core/qdrant.js";
+import { createHealthRoutes } from "./core/health.js";
+import { startAdminServer, type PluginStats } from "./core/admin.js";
+import { createShutdownCoordinator } from "./core/shutdown.js";
 import {
   messagesConsumed,
   messagesProduced,
@@ -9,14 +14,56 @@ import {
   batchQueueSize,
   msgLatency,
   inFlightUpsertsGauge,
+  consumerPaused,
   upsertsSuccess,
-  startMetricsServer
+  upsertsFailed,
+  normalizerTimeouts,
+  normalizerInvocations,
+  normalizeDuration,
+  eventsEmitted,
+  upsertDuration,
+  pluginFailures,
+  unroutedMessages,
+  schemaViolations,
+  startMetricsServer,
+  registerRoute
 } from "./core/metrics.js";
-import type { EachMessagePayload } from "kafkajs";
 import { retry } from "./core/util/retry.js";
-import { RawMessageSchema, DomainEventSchema, type INormalizer, type IUpserter, type INormalizerModule, type IUpserterModule } from "./core/schemas.js";
-import { resolve, join } from "node:path";
-import { fileURLToPath } from "node:url";
+import { runPartitionedConsumer, createPauseController, MessageDeferredError, type MessageContext } from "./core/processor.js";
+import { createCircuitBreaker, CircuitOpenError, type CircuitBreaker } from "./core/breaker.js";
+import { startLagMonitor } from "./core/lag.js";
+import { createTransactionalForwarder } from "./core/transactional.js";
+import { buildDlqRecord, buildParkedRecord, envelopeHeaders, replayDlq } from "./core/dlq.js";
+import { createBatchBuffer, chunkEntries } from "./core/buffer.js";
+import {
+  allPlugins,
+  handlesVersion,
+  invokePlugin,
+  loadPluginRegistry,
+  pluginProbes,
+  retiredPlugins,
+  shutdownPlugins,
+  watchPlugins,
+  PluginTimeoutError,
+  type LoadedPlugin,
+  type RegistryLoadResult
+} from "./core/plugins.js";
+import { SchemaViolationError, validate } from "./core/validation.js";
+import { lineageFromHeaders, lineageHeaders } from "./core/lineage.js";
+import { initTracing, withSpan, recordError, linksFromHeaders, traceContextFromHeaders, traceHeaders } from "./core/tracing.js";
+import {
+  RawMessageSchema,
+  DomainEventSchema,
+  type DlqEnvelope,
+  type DomainEvent,
+  type IUpserter,
+  type Lineage,
+  type PluginStorage,
+  type UnroutedInfo
+} from "./core/schemas.js";
+import { ListBucketsCommand } from "@aws-sdk/client-s3";
+import { ROOT_CONTEXT, SpanKind, trace } from "@opentelemetry/api";
+import { parseArgs } from "node:util";
 
 /**
  * Ingestion service entry-point.
@@ -26,62 +73,211 @@ import { fileURLToPath } from "node:url";
  * 2. Subscribes to Kafka raw and domain topics
  * 3. Normalizes raw tool output into domain events and batches to Kafka
  * 4. Upserts domain events into Neo4j
- * 5. Exposes Prometheus metrics on /metrics endpoint
+ * 5. Exposes Prometheus metrics on /metrics, liveness on /healthz and readiness on /readyz
+ * 6. Traces each message from consumption through normalization, batching and upserts
+ *
+ * Run with `--replay-dlq [--error <name>] [--tool <tool>] [--event-type <type>] [--dry-run]
+ * [--idle-timeout-ms <ms>]` to re-publish selected DLQ entries to their original topic and
+ * exit instead; the exit code is 1 when an entry failed or a partition was not read to the end.
  */
 
 // ═══════════════════════════════════════════════════════════════════════════════════════════════
 // INITIALIZATION
 // ═══════════════════════════════════════════════════════════════════════════════════════════════
 
+const logger = createLogger("pipeline");
+const tracing = initTracing(getConfigSection("tracing"));
+
+// ═══════════════════════════════════════════════════════════════════════════════════════════════
+// DLQ REPLAY MODE
+// ═══════════════════════════════════════════════════════════════════════════════════════════════
+
+if (process.argv.includes("--replay-dlq")) {
+  const { values } = parseArgs({
+    options: {
+      "replay-dlq": { type: "boolean" },
+      "error": { type: "string" },
+      "tool": { type: "string" },
+      "event-type": { type: "string" },
+      "dry-run": { type: "boolean" },
+      "idle-timeout-ms": { type: "string" }
+    }
+  });
+  let exitCode = 0;
+  try {
+    const idleTimeoutMs = values["idle-timeout-ms"] === undefined ? undefined : Number(values["idle-timeout-ms"]);
+    if (idleTimeoutMs !== undefined && !(Number.isInteger(idleTimeoutMs) && idleTimeoutMs > 0)) {
+      throw new Error(`--idle-timeout-ms must be a positive integer, got ${values["idle-timeout-ms"]}`);
+    }
+    // Only the Kafka settings are needed; storage credentials may be absent
+    const summary = await replayDlq({
+      kafka: getConfigSection("kafka"),
+      errorName: values.error,
+      tool: values.tool,
+      eventType: values["event-type"],
+      dryRun: values["dry-run"],
+      idleTimeoutMs
+    });
+    logger.info(summary, "DLQ replay finished");
+    if (summary.failed || summary.unfinished.length) exitCode = 1;
+  } catch (err) {
+    logger.fatal({ err }, "DLQ replay aborted");
+    exitCode = 1;
+  }
+  await flushLogger();
+  process.exit(exitCode);
+}
+
 const envConfig = getEnvConfig();
-startMetricsServer(envConfig.metrics.port);
-const pluginConfig = await loadPluginConfig();
-const { consumer, producer } = await initKafka();
+logger.info(describeConfig(), "effective configuration");
+
+const shutdown = createShutdownCoordinator({
+  drainTimeoutMs: envConfig.shutdown.timeoutMs,
+  closeTimeoutMs: envConfig.shutdown.closeTimeoutMs
+});
+// Before the first startup await, so a signal while connecting still shuts down gracefully.
+// Each client's close step is registered as soon as it exists, so a signal or fatal error
+// during startup closes whatever is already connected; close steps run in reverse order.
+shutdown.install();
+// Registered first so it runs last, and spans recorded while shutting down are exported too
+shutdown.register("close", "tracing", () => tracing.shutdown());
+const metricsServer = startMetricsServer(envConfig.metrics.port);
+shutdown.register("close", "metrics", () => new Promise<void>((done) => metricsServer.close(() => done())));
+const { kafka, consumer, producer } = await initKafka(envConfig.kafka, (name, close) => shutdown.register("close", name, close));
+consumer.on(consumer.events.CRASH, ({ payload }) => {
+  if (!payload.restart) void shutdown.shutdown(`consumer crashed: ${payload.error.message}`, 1);
+});
+
+// Storage clients are owned here and handed to plugins through their context
+const storage: PluginStorage = {
+  neo4j: createNeo4jDriver(envConfig.neo4j),
+  qdrant: createQdrantClient(envConfig.qdrant),
+  minio: createMinioClient(envConfig.minio)
+};
+shutdown.register("close", "neo4j", () => storage.neo4j.close());
+shutdown.register("close", "minio", async () => storage.minio.destroy());
+// The Qdrant REST client holds no connection state of its own; nothing to close.
 
 const rawTopic = envConfig.kafka.rawTopic;
 const domainTopic = envConfig.kafka.domainTopic;
 const dlqTopic = envConfig.kafka.dlqTopic;
-
-const __dirname = fileURLToPath(new URL(".", import.meta.url));
+const unroutedTopic = envConfig.kafka.unroutedTopic;
 
 // ═══════════════════════════════════════════════════════════════════════════════════════════════
-// PLUGIN SECURITY & VALIDATION
+// STATE MANAGEMENT
 // ═══════════════════════════════════════════════════════════════════════════════════════════════
 
+const inFlightUpserts = new Set<Promise<unknown>>();
+/** Messages being handled; each holds the registry snapshot it started with */
+const inFlightMessages = new Set<Promise<void>>();
+const pauses = createPauseController(consumer, (topic, reason, paused) => {
+  consumerPaused.labels(topic, reason).set(paused ? 1 : 0);
+});
+/** Circuit breakers per storage backend (the sink's `db`), created on first use */
+const breakers = new Map<string, CircuitBreaker>();
+shutdown.register("close", "breakers", async () => breakers.forEach((breaker) => breaker.dispose()));
+const pluginStats = {
+  normalizer: {} as Record<string, PluginStats>,
+  upserter: {} as Record<string, PluginStats>
+};
+
 /**
- * Validates and resolves plugin paths to prevent directory traversal attacks.
- * 
- * @param pluginPath - The plugin path from configuration
- * @param baseDir - Base directory to restrict access to (default: "plugins")
- * @returns Resolved safe path or throws error if invalid
- * @throws {Error} When plugin path resolves outside allowed directory
+ * Returns the circuit breaker for a storage backend. While a breaker is open the
+ * domain topic is paused, so events wait in Kafka instead of filling the DLQ; it
+ * resumes when the breaker turns half-open and the next upsert becomes the trial.
  */
-function validatePluginPath(pluginPath: string, baseDir = "plugins"): string {
-  const cleanPath = pluginPath.replace(/[^a-zA-Z0-9/_-]/g, '');
-  const fullPath = resolve(__dirname, cleanPath);
-  const basePath = resolve(__dirname, baseDir);
-  
-  if (!fullPath.startsWith(basePath)) {
-    throw new Error(`Invalid plugin path: ${pluginPath} resolves outside allowed directory`);
+function breakerFor(db: string): CircuitBreaker {
+  let breaker = breakers.get(db);
+  if (!breaker) {
+    const reason = `breaker:${db}`;
+    const { failureThreshold, resetTimeoutMs } = envConfig.breaker;
+    breaker = createCircuitBreaker(db, {
+      failureThreshold,
+      resetTimeoutMs,
+      onStateChange: (state) => {
+        if (state === "open") pauses.pause(domainTopic, reason);
+        else pauses.resume(domainTopic, reason);
+      }
+    });
+    breakers.set(db, breaker);
   }
-  
-  return cleanPath;
+  return breaker;
 }
 
-// ═══════════════════════════════════════════════════════════════════════════════════════════════
-// STATE MANAGEMENT
-// ═══════════════════════════════════════════════════════════════════════════════════════════════
+/**
+ * Times each domain event (by topic, partition and offset) has been deferred by an open
+ * breaker. Past `BREAKER_MAX_DEFERRALS` the event is dead-lettered instead, so an event
+ * that keeps failing as the half-open trial cannot stall its partition forever.
+ */
+const deferrals = new Map<string, number>();
 
-const inFlightUpserts = new Set<Promise<unknown>>();
-const normalizers: Record<string, INormalizer> = {};
-const upserters: Record<string, IUpserter> = {};
-const batch: { topic: string; messages: { key: string | undefined; value: string }[] }[] = [];
+/**
+ * Metric label for a tool name or event type read from a message: the name itself when a
+ * plugin is registered under exactly that key, "other" otherwise, so producers cannot
+ * create an unbounded number of time series. Unregistered names still appear in the logs.
+ *
+ * @param keys - Registry entries keyed by tool name or event type
+ * @param name - Name taken from the message
+ */
+function nameLabel(keys: Readonly<Record<string, unknown>>, name: unknown): string {
+  return typeof name === "string" && Object.hasOwn(keys, name) ? name : "other";
+}
+
+/**
+ * Counts a message handled by a plugin, and whether it ultimately failed.
+ */
+function recordPluginOutcome(kind: "normalizer" | "upserter", name: string, failed: boolean) {
+  const stats = (pluginStats[kind][name] ??= { messages: 0, errors: 0 });
+  stats.messages += 1;
+  if (failed) stats.errors += 1;
+}
+
+/**
+ * Domain events awaiting the next batch flush. When the buffer (including events whose
+ * flush is still in flight) reaches the high watermark, consumption of the raw topic is
+ * paused until flushes drain it back to the low watermark. Partition batches stop at the
+ * message that crossed it, so the buffer overshoots by at most the events of one raw
+ * message per partition in progress.
+ */
+const batch = createBatchBuffer({
+  highWatermark: envConfig.batch.highWatermark,
+  lowWatermark: envConfig.batch.lowWatermark,
+  onSizeChange: (size) => batchQueueSize.set(size),
+  onSaturationChange: (saturated) => {
+    if (saturated) {
+      pauses.pause(rawTopic, "backpressure");
+      logger.warn({ size: batch.size }, "batch buffer full; pausing raw consumption");
+    } else {
+      pauses.resume(rawTopic, "backpressure");
+      logger.info({ size: batch.size }, "batch buffer drained; resuming raw consumption");
+    }
+  }
+});
+
+/**
+ * In exactly-once mode, domain events derived from a raw partition batch bypass the
+ * shared batch buffer and are published in the same transaction as the raw offset,
+ * by a transactional producer claimed for that raw partition.
+ */
+const forwarder = envConfig.kafka.exactlyOnce
+  ? createTransactionalForwarder(kafka, {
+      consumerGroupId: envConfig.kafka.groupId,
+      transactionalIdPrefix: envConfig.kafka.transactionalIdPrefix ?? envConfig.kafka.groupId,
+      maxBytes: envConfig.batch.maxBytes,
+      producerConfig: producerOptions(envConfig.kafka)
+    })
+  : undefined;
+if (forwarder) {
+  // Partitions this instance lost in a rebalance are claimed again if they come back
+  consumer.on(consumer.events.GROUP_JOIN, ({ payload }) => forwarder.retain(payload.memberAssignment));
+  shutdown.register("close", "kafka.transactional", () => forwarder.close());
+}
 
 /**
  * Updates Prometheus metrics gauges for batch queue size and in-flight upserts.
  */
 function updateBatchGauge() {
-  batchQueueSize.set(batch.length);
+  batchQueueSize.set(batch.size);
   inFlightUpsertsGauge.set(inFlightUpserts.size);
 }
 
@@ -89,44 +285,160 @@ function updateBatchGauge() {
 // PLUGIN LOADING
 // ═══════════════════════════════════════════════════════════════════════════════════════════════
 
-for (const [tool, mod] of Object.entries(pluginConfig.pluginMap.normalizers as Record<string,string>)) {
-  const modPath = mod as string;
-  try {
-    const safePath = validatePluginPath(modPath);
-    const module = (await import(`./${safePath}.js`)) as INormalizerModule;
-    normalizers[tool] = module.default;
-    logger.info({tool},"loaded normalizer");
-  } catch (err) { 
-    logger.warn({tool, error: err instanceof Error ? err.message : String(err)},"normalizer loading failed; skipped"); 
-  }
+/**
+ * Active plugin registry. Replaced as a whole on reload; each message reads it once,
+ * so a message is never handled by a mix of old and new plugin versions.
+ */
+let plugins = (await loadPluginRegistry(storage)).registry;
+syncPluginStats();
+
+/**
+ * Ensures every loaded plugin has a stats entry so it is listed even before it handles a message.
+ */
+function syncPluginStats() {
+  for (const name of Object.keys(plugins.normalizers)) pluginStats.normalizer[name] ??= { messages: 0, errors: 0 };
+  for (const up of Object.values(plugins.upserters).flat()) pluginStats.upserter[up.name] ??= { messages: 0, errors: 0 };
 }
 
-for (const [evt, mod] of Object.entries(pluginConfig.pluginMap.upserters as Record<string,string>)) {
-  const modPath = mod as string;
-  try {
-    const safePath = validatePluginPath(modPath);
-    const module = (await import(`./${safePath}.js`)) as IUpserterModule;
-    upserters[evt] = module.default;
-    logger.info({evt},"loaded upserter");
-  } catch (err) { 
-    logger.warn({evt, error: err instanceof Error ? err.message : String(err)},"upserter loading failed; skipped"); 
-  }
+let reloadChain: Promise<unknown> = Promise.resolve();
+const retirements = new Set<Promise<void>>();
+
+// Plugins may hold storage resources, so they shut down before the storage clients close
+shutdown.register("close", "plugins.shutdown", async () => {
+  await reloadChain;
+  await Promise.allSettled([...retirements]);
+  await shutdownPlugins(allPlugins(plugins));
+});
+
+/**
+ * Shuts down plugin versions a reload replaced once the messages in flight at the swap have
+ * finished, or after `plugins.retireTimeoutMs` so one stuck message cannot hold them forever.
+ * Runs in the background so the reload itself is not held up.
+ */
+function retirePlugins(retired: LoadedPlugin<unknown>[]) {
+  const inFlight = [...inFlightMessages];
+  let timer: NodeJS.Timeout | undefined;
+  const timedOut = new Promise<boolean>((resolve) => {
+    timer = setTimeout(() => resolve(true), envConfig.plugins.retireTimeoutMs);
+  });
+  const retirement = Promise.race([Promise.allSettled(inFlight).then(() => false), timedOut])
+    .then(async (expired) => {
+      clearTimeout(timer);
+      if (expired) {
+        logger.warn({
+          plugins: retired.map((p) => p.name),
+          inFlight: inFlight.filter((m) => inFlightMessages.has(m)).length,
+          timeoutMs: envConfig.plugins.retireTimeoutMs
+        }, "shutting down retired plugins with messages still in flight");
+      }
+      await shutdownPlugins(retired);
+    })
+    .finally(() => retirements.delete(retirement));
+  retirements.add(retirement);
 }
 
+/**
+ * Re-reads plugins.yaml and re-imports changed plugin modules, then swaps the registry.
+ * Plugin versions the new registry no longer uses are shut down in the background once the
+ * messages that were in flight at the swap, and may still call them, have finished, waiting
+ * at most `plugins.retireTimeoutMs`.
+ * Reloads are serialized; if plugins.yaml cannot be loaded the current registry stays active.
+ *
+ * @returns The new registry's load time and any plugins that kept their previous version or were skipped
+ */
+function reloadPlugins(): Promise<{ loadedAt: string; failures: RegistryLoadResult["failures"] }> {
+  const run = reloadChain.then(async () => {
+    const previous = plugins;
+    const { registry, failures } = await loadPluginRegistry(storage, previous);
+    plugins = registry;
+    syncPluginStats();
+    logger.info({
+      normalizers: Object.keys(registry.normalizers),
+      upserters: Object.values(registry.upserters).flat().map((up) => up.name),
+      failures: failures.length
+    }, "plugins reloaded");
+
+    const retired = retiredPlugins(previous, registry);
+    if (retired.length) retirePlugins(retired);
+    return { loadedAt: registry.loadedAt, failures };
+  });
+  reloadChain = run.catch(() => undefined);
+  return run;
+}
+
+const stopPluginWatch = envConfig.plugins.watch
+  ? watchPlugins(() => {
+      reloadPlugins().catch((err) => logger.error({ err }, "plugin reload failed; keeping current plugins"));
+    })
+  : undefined;
+if (stopPluginWatch) shutdown.register("close", "plugins.watch", async () => stopPluginWatch());
+
 // ═══════════════════════════════════════════════════════════════════════════════════════════════
 // BATCH PROCESSING
 // ═══════════════════════════════════════════════════════════════════════════════════════════════
 
+let flushChain: Promise<void> = Promise.resolve();
+
+/**
+ * Sends all currently buffered domain events to Kafka, split into producer requests of
+ * at most `BATCH_MAX_BYTES` each and sent in order. When a request fails, it and every
+ * later chunk are re-queued at the head of the buffer so that a later flush retries
+ * them and raw offsets are never committed past unsent events.
+ */
+async function sendPendingBatch() {
+  if (!batch.pending) return;
+  const chunks = chunkEntries(batch.take(), envConfig.batch.maxBytes);
+  for (const [i, chunk] of chunks.entries()) {
+    const messages = chunk.flatMap((entry) => entry.messages);
+    try {
+      // A flush carries events from many traces: it gets a trace of its own, linked to each of them
+      await withSpan("kafka.batch_flush", {
+        kind: SpanKind.PRODUCER,
+        parent: ROOT_CONTEXT,
+        links: linksFromHeaders(messages),
+        attributes: { "messaging.system": "kafka", "messaging.batch.message_count": messages.length }
+      }, () => retry(() => producer.sendBatch({ topicMessages: chunk })));
+    } catch (err) {
+      batch.requeue(chunks.slice(i).flat());
+      throw err;
+    }
+    batch.ack(chunk);
+    for (const entry of chunk) messagesProduced.labels(entry.topic).inc(entry.messages.length);
+  }
+}
+
 /**
  * Flushes accumulated domain events to Kafka with retry logic and metrics tracking.
- * Empties the current batch and sends all messages in a single batch operation.
- */
-async function flushBatch() {
-  if (!batch.length) return;
-  const sending = batch.splice(0, batch.length);
-  await retry(() => producer.sendBatch({ topicMessages: sending }));
-  const producedCount = sending.reduce((acc, tm) => acc + tm.messages.length, 0);
-  messagesProduced.inc(producedCount);
+ * Flushes are serialized, so the returned promise resolves only once every event
+ * buffered before the call has been sent.
+ */
+function flushBatch(): Promise<void> {
+  const run = flushChain.then(sendPendingBatch);
+  flushChain = run.catch(() => undefined);
+  return run;
+}
+
+let flushRequested = false;
+
+/**
+ * Starts an early flush when the buffered events reach `BATCH_FLUSH_COUNT` messages or
+ * `BATCH_FLUSH_BYTES` bytes, instead of waiting for the next timer tick. At most one
+ * triggered flush is outstanding; the thresholds are re-checked once it settles.
+ */
+function flushIfThresholdReached() {
+  if (flushRequested) return;
+  if (batch.pending < envConfig.batch.flushCount && batch.pendingBytes < envConfig.batch.flushBytes) return;
+
+  flushRequested = true;
+  flushBatch()
+    .then(() => {
+      flushRequested = false;
+      flushIfThresholdReached();
+    })
+    .catch((err) => {
+      flushRequested = false;
+      logger.error({ err }, "flushBatch failed");
+    });
 }
 
 const flushTimer = setInterval(() => {
@@ -138,83 +450,432 @@ const flushTimer = setInterval(() => {
 // KAFKA SUBSCRIPTION & MESSAGE PROCESSING
 // ═══════════════════════════════════════════════════════════════════════════════════════════════
 
-await consumer.subscribe({ topic: rawTopic, fromBeginning: false });
-await consumer.subscribe({ topic: domainTopic, fromBeginning: false });
+/**
+ * Processes a single message from either the raw or the domain topic.
+ *
+ * Raw messages are normalized and their domain events buffered for the next batch
+ * flush (or the partition's next transaction in exactly-once mode); domain events are
+ * upserted into every sink configured for their type, concurrently, and awaited. A retry
+ * re-runs only the sinks that failed. Messages that still fail after retries are
+ * published to the DLQ, unless the circuit breaker of a failed sink's backend is
+ * open; the message is then deferred until the breaker lets upserts through again,
+ * at most `BREAKER_MAX_DEFERRALS` times.
+ * Messages no plugin handles are dropped, dead-lettered or
+ * parked according to `UNROUTED_POLICY`. The returned promise resolves only once the
+ * message has been fully handled, so its offset can be safely committed.
+ *
+ * Runs inside the message's consume span; normalization and each upsert get child
+ * spans, and produced domain events and DLQ records carry the span's trace context.
+ * Domain events also carry lineage headers naming the raw message and normalizer
+ * they came from. Logs, including the plugins' own, carry the message's correlation
+ * fields: its position and run id, tool and lineage once known.
+ *
+ * @param ctx - Topic, partition and message being processed
+ * @throws {MessageDeferredError} When an upsert failed because a backend's circuit breaker is open
+ * @throws {Error} When the DLQ or unrouted publish itself fails; the offset is then left uncommitted
+ */
+async function handleMessage({ topic, partition, message }: MessageContext): Promise<void> {
+  if (!message.value) return;
+  const rawBytes = message.value.toString("utf8");
+  messagesConsumed.labels(topic).inc();
+  const span = trace.getActiveSpan();
+  const position = { topic, partition, offset: message.offset };
+  const deferralKey = `${topic}:${partition}:${message.offset}`;
+  // Domain events name the raw message they came from; raw messages name their run once parsed
+  const lineage = topic === domainTopic ? lineageFromHeaders(message.headers) : null;
+  let correlation: Record<string, unknown> = { ...position, ...lineage };
+  let log = logger.child(correlation);
+  if (lineage) span?.setAttribute("ingestion.run_id", lineage.runId);
 
-logger.info("ingestion service ready");
-
-await consumer.run({
-  eachMessage: async ({ topic, message }: EachMessagePayload) => {
-    if (!message.value) return;
-    const rawBytes = message.value.toString("utf8");
-
-    const handle = async () => {
-      messagesConsumed.labels(topic).inc();
-      const obj = JSON.parse(rawBytes);
-      const start = performance.now();
-
-      if (topic === rawTopic) {
-        const { success } = RawMessageSchema.safeParse(obj);
-        if (!success) throw new Error("RAW message schema violation");
-
-        const norm = normalizers[obj.tool];
-        if (norm) {
-          const events = norm(obj) || [];
-          for (const ev of events) {
-            const { success: ok } = DomainEventSchema.safeParse(ev);
-            if (!ok) throw new Error("Domain event schema violation");
-            batch.push({
-              topic: domainTopic,
-              messages: [{ key: ev.event?.fingerprint, value: JSON.stringify(ev) }]
-            });
-          }
+  const registry = plugins;
+  let attempts = 0;
+  let plugin: DlqEnvelope["plugin"] = null;
+  let tool: string | null = null;
+  let eventType: string | null = null;
+  // Upserter sinks for the event, and those that already succeeded, so retries only re-run failed sinks
+  let sinks: readonly LoadedPlugin<IUpserter>[] = [];
+  const upserted = new Set<string>();
+  // Set when no plugin handled the message on the last attempt
+  let unrouted: UnroutedInfo | null = null;
+
+  const handle = async () => {
+    attempts += 1;
+    unrouted = null;
+    const obj = JSON.parse(rawBytes);
+    const start = performance.now();
+
+    if (topic === rawTopic) {
+      tool = typeof obj?.tool === "string" ? obj.tool : null;
+      const runId = typeof obj?.runId === "string" ? obj.runId : undefined;
+      if (tool) span?.setAttribute("ingestion.tool", tool);
+      if (runId) span?.setAttribute("ingestion.run_id", runId);
+      correlation = { ...position, runId, tool: tool ?? undefined };
+      log = logger.child(correlation);
+      validate(RawMessageSchema, obj, "raw");
+
+      const norm = registry.route.normalizer(obj.tool);
+      if (!norm) {
+        unrouted = { stage: "normalize", name: obj.tool, reason: "no_plugin" };
+      } else if (!handlesVersion(norm, obj.schemaVersion)) {
+        log.debug({ schemaVersion: obj.schemaVersion, versions: norm.versions }, "schema version outside normalizer range");
+        unrouted = { stage: "normalize", name: obj.tool, reason: "version" };
+      } else {
+        plugin = { kind: "normalizer", name: norm.name, module: norm.module };
+        const normStart = performance.now();
+        const toolLabel = nameLabel(registry.normalizers, obj.tool);
+        let result: DomainEvent[] | null;
+        try {
+          result = await withSpan("normalize", {
+            attributes: { "ingestion.tool": obj.tool, "ingestion.plugin": norm.name }
+          }, async (normSpan) => {
+            const out = await invokePlugin(
+              norm,
+              envConfig.plugins.normalizerTimeoutMs,
+              (normalize, ctx) => normalize(obj, ctx),
+              { correlation }
+            );
+            normSpan.setAttribute("ingestion.events", out?.length ?? 0);
+            return out;
+          });
+        } catch (err: any) {
+          if (err instanceof PluginTimeoutError) normalizerTimeouts.labels(toolLabel).inc();
+          normalizerInvocations.labels(toolLabel, "error").inc();
+          pluginFailures.labels("normalizer", norm.name, err?.name ?? "Error").inc();
+          throw err;
+        } finally {
+          const seconds = (performance.now() - normStart) / 1000;
+          msgLatency.labels("normalize").observe(seconds);
+          normalizeDuration.labels(toolLabel).observe(seconds);
+        }
+        const events = result || [];
+        try {
+          validate(DomainEventSchema.array(), events, "normalizer");
+        } catch (err) {
+          normalizerInvocations.labels(toolLabel, "invalid").inc();
+          pluginFailures.labels("normalizer", norm.name, "SchemaViolationError").inc();
+          throw err;
         }
-        msgLatency.labels("raw").observe((performance.now() - start) / 1000);
-      } else if (topic === domainTopic) {
-        const { success } = DomainEventSchema.safeParse(obj);
-        if (!success) throw new Error("Domain event schema violation");
-
-        const up = upserters[obj.event?.event_type];
-        if (up) {
-          const p = up(obj).catch(e=>{throw e;});
-          inFlightUpserts.add(p);
+        normalizerInvocations.labels(toolLabel, result == null ? "null" : events.length ? "events" : "empty").inc();
+        eventsEmitted.labels(toolLabel).observe(events.length);
+        const origin: Lineage = {
+          runId: obj.runId,
+          tool: obj.tool,
+          sourceTopic: topic,
+          sourcePartition: partition,
+          sourceOffset: message.offset,
+          normalizer: norm.name,
+          normalizerVersion: norm.version,
+          ingestedAt: new Date().toISOString()
+        };
+        const headers = { ...traceHeaders(), ...lineageHeaders(origin) };
+        const messages = events.map((ev) => ({ key: ev.event?.fingerprint, value: JSON.stringify(ev), headers }));
+        if (forwarder) {
+          forwarder.buffer({ topic, partition }, domainTopic, messages);
+        } else {
+          for (const m of messages) batch.push({ topic: domainTopic, messages: [m] });
+          flushIfThresholdReached();
+        }
+      }
+      msgLatency.labels("raw").observe((performance.now() - start) / 1000);
+    } else if (topic === domainTopic) {
+      eventType = typeof obj?.event?.event_type === "string" ? obj.event.event_type : null;
+      tool = typeof obj?.meta?.rawTool === "string" ? obj.meta.rawTool : null;
+      if (eventType) span?.setAttribute("ingestion.event_type", eventType);
+      if (tool) span?.setAttribute("ingestion.tool", tool);
+      validate(DomainEventSchema, obj, "domain");
+
+      const registered = registry.route.upserters(obj.event.event_type) ?? [];
+      sinks = registered.filter((up) => handlesVersion(up, obj.specVersion));
+      if (!registered.length) {
+        unrouted = { stage: "upsert", name: obj.event.event_type, reason: "no_plugin" };
+      } else if (!sinks.length) {
+        log.debug({ eventType, specVersion: obj.specVersion }, "spec version outside every upserter range");
+        unrouted = { stage: "upsert", name: obj.event.event_type, reason: "version" };
+      }
+
+      const pending = sinks.filter((up) => !upserted.has(up.name));
+      const results = await Promise.allSettled(pending.map(async (up) => {
+        const p = breakerFor(up.sink!.db).execute(async () => {
+          const upStart = performance.now();
+          try {
+            return await withSpan("upsert", {
+              attributes: {
+                "ingestion.event_type": obj.event.event_type,
+                "ingestion.plugin": up.name,
+                "ingestion.sink": up.sink!.name,
+                "db.system.name": up.sink!.db
+              }
+            }, () => invokePlugin(up, undefined, (upsert, ctx) => upsert(obj, ctx), { correlation, lineage }));
+          } finally {
+            upsertDuration.labels(nameLabel(registry.upserters, obj.event.event_type), up.sink!.name).observe((performance.now() - upStart) / 1000);
+          }
+        });
+        inFlightUpserts.add(p);
+        try {
           await p;
+        } finally {
           inFlightUpserts.delete(p);
-          upsertsSuccess.labels("neo4j").inc();
-          msgLatency.labels("upsert").observe((performance.now() - start) / 1000);
         }
+      }));
+
+      const errors: unknown[] = [];
+      plugin = null;
+      results.forEach((result, i) => {
+        const up = pending[i];
+        const { db, name: sink } = up.sink!;
+        if (result.status === "fulfilled") {
+          upserted.add(up.name);
+          upsertsSuccess.labels(db, sink).inc();
+        } else {
+          upsertsFailed.labels(db, sink).inc();
+          // Rejected by an open breaker without calling the plugin; counted by the breaker
+          if (!(result.reason instanceof CircuitOpenError)) {
+            pluginFailures.labels("upserter", up.name, result.reason?.name ?? "Error").inc();
+          }
+          log.warn({ err: result.reason, sink: up.name, attempt: attempts }, "upsert failed");
+          plugin ??= { kind: "upserter", name: up.name, module: up.module };
+          errors.push(result.reason);
+        }
+      });
+      if (errors.length === 1) throw errors[0];
+      if (errors.length > 1) {
+        const failedSinks = sinks.filter((up) => !upserted.has(up.name)).map((up) => up.name);
+        throw new AggregateError(errors, `${errors.length} of ${sinks.length} upserters failed: ${failedSinks.join(", ")}`);
       }
-    };
+      if (sinks.length) msgLatency.labels("upsert").observe((performance.now() - start) / 1000);
+    }
+  };
+
+  const recordOutcomes = (failed: boolean) => {
+    if (topic === domainTopic) {
+      for (const up of sinks) recordPluginOutcome("upserter", up.name, failed && !upserted.has(up.name));
+    } else if (plugin) {
+      recordPluginOutcome(plugin.kind, plugin.name, failed);
+    }
+  };
+
+  const sendToDlq = async (error: DlqEnvelope["error"]) => {
+    const record = buildDlqRecord({
+      source: {
+        topic,
+        partition,
+        offset: message.offset,
+        key: message.key?.toString("utf8") ?? null,
+        timestamp: message.timestamp,
+        headers: envelopeHeaders(message.headers)
+      },
+      error,
+      attempts,
+      plugin,
+      tool,
+      eventType,
+      payload: rawBytes
+    });
+    try {
+      await retry(() => producer.send({ topic: dlqTopic, messages: [record] }));
+      messagesProduced.labels(dlqTopic).inc();
+    } catch (dlqErr) {
+      log.error({ dlqErr }, "DLQ publish failed");
+      throw dlqErr;
+    }
+  };
+
+  try {
+    // Permanent failures (schema violations, malformed JSON, Cypher and constraint errors) skip the retries
+    await retry(handle, { retries: 2 });
+    deferrals.delete(deferralKey);
+    recordOutcomes(false);
+  } catch (err: any) {
+    // Failed because a backend is down: leave the message in Kafka until its breaker closes
+    const down = sinks.filter((up) => !upserted.has(up.name) && breakerFor(up.sink!.db).state !== "closed");
+    const deferred = (deferrals.get(deferralKey) ?? 0) + 1;
+    if (down.length && deferred <= envConfig.breaker.maxDeferrals) {
+      deferrals.set(deferralKey, deferred);
+      log.warn({ eventType, sinks: down.map((up) => up.name), deferred }, "storage backend unavailable; message deferred");
+      throw new MessageDeferredError(`circuit breaker open for ${down.map((up) => up.sink!.db).join(", ")}`);
+    }
+    if (down.length) log.warn({ eventType, deferred: deferred - 1 }, "deferral limit reached; sending to DLQ");
+    deferrals.delete(deferralKey);
+    recordOutcomes(true);
+    processingErrors.labels(topic, err?.name ?? "unknown").inc();
+    recordError(span, err);
+    if (err instanceof SchemaViolationError) {
+      schemaViolations.labels(err.stage, tool === null ? "unknown" : nameLabel(registry.normalizers, tool)).inc();
+      log.error({ stage: err.stage, eventType, issues: err.issues }, "schema violation, sending to DLQ");
+      await sendToDlq({ name: err.name, message: err.message, issues: err.issues });
+      return;
+    }
+    log.error({ err }, "failed permanently, sending to DLQ");
+    await sendToDlq({ name: err?.name ?? "Error", message: err?.message ?? String(err) });
+    return;
+  }
+
+  // Assigned inside the handle closure, which control-flow narrowing does not see
+  const info = unrouted as UnroutedInfo | null;
+  if (!info) return;
+  const names = info.stage === "normalize" ? registry.normalizers : registry.upserters;
+  unroutedMessages.labels(info.stage, nameLabel(names, info.name), info.reason).inc();
+  const kind = info.stage === "normalize" ? "normalizer" : "upserter";
+  const what = info.stage === "normalize" ? "tool" : "event type";
 
-    retry(handle, { retries: 2 }).catch(async (err) => {
-      processingErrors.labels(topic, err?.name ?? "unknown").inc();
-      logger.error({ err }, "failed permanently, sending to DLQ");
+  switch (envConfig.unrouted.policy) {
+    case "drop":
+      log.debug({ stage: info.stage, name: info.name, reason: info.reason }, "unrouted message dropped");
+      break;
+    case "dlq":
+      await sendToDlq({
+        name: "UnroutedMessage",
+        message: info.reason === "version"
+          ? `no ${kind} for ${what} ${info.name} accepts this version`
+          : `no ${kind} for ${what} ${info.name}`
+      });
+      break;
+    case "park":
       try {
-        await producer.send({ topic: dlqTopic, messages: [{ value: rawBytes }] });
-      } catch (dlqErr) {
-        logger.error({ dlqErr }, "DLQ publish failed");
+        await retry(() => producer.send({
+          topic: unroutedTopic,
+          messages: [buildParkedRecord(message, { topic, partition }, info)]
+        }));
+        messagesProduced.labels(unroutedTopic).inc();
+      } catch (parkErr) {
+        log.error({ parkErr }, "unrouted publish failed");
+        throw parkErr;
       }
-    });
+      break;
+  }
+}
+
+await consumer.subscribe({ topic: rawTopic, fromBeginning: false });
+await consumer.subscribe({ topic: domainTopic, fromBeginning: false });
+
+logger.info({ exactlyOnce: Boolean(forwarder) }, "ingestion service ready");
+
+/**
+ * Commits the next offset for a processed partition batch.
+ *
+ * Raw offsets are only committed once the derived domain events are on Kafka: in
+ * exactly-once mode both happen in one producer transaction, otherwise the shared
+ * batch is flushed first. Domain offsets are committed directly.
+ */
+async function commitOffset(topic: string, partition: number, offset: string): Promise<void> {
+  if (topic === rawTopic) {
+    if (forwarder) {
+      const produced = await withSpan("kafka.transaction_commit", {
+        kind: SpanKind.PRODUCER,
+        parent: ROOT_CONTEXT,
+        attributes: {
+          "messaging.system": "kafka",
+          "messaging.destination.name": domainTopic,
+          "messaging.destination.partition.id": String(partition)
+        }
+      }, async (txSpan) => {
+        const count = await forwarder.commit(topic, partition, offset);
+        txSpan.setAttribute("messaging.batch.message_count", count);
+        return count;
+      });
+      messagesProduced.labels(domainTopic).inc(produced);
+      return;
+    }
+    await flushBatch();
   }
+  await consumer.commitOffsets([{ topic, partition, offset }]);
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════════════════════
+// HEALTH & READINESS
+// ═══════════════════════════════════════════════════════════════════════════════════════════════
+
+const healthRoutes = createHealthRoutes({
+  consumer,
+  producers: { producer },
+  probes: {
+    neo4j: () => storage.neo4j.verifyConnectivity(),
+    qdrant: () => storage.qdrant.getCollections(),
+    minio: () => storage.minio.send(new ListBucketsCommand({}))
+  },
+  pluginProbes: () => pluginProbes(plugins),
+  plugins: () => ({
+    normalizers: Object.keys(plugins.normalizers),
+    upserters: Object.values(plugins.upserters).flat().map((up) => up.name)
+  }),
+  isShuttingDown: () => shutdown.isShuttingDown()
+});
+for (const [path, handler] of Object.entries(healthRoutes)) registerRoute(path, handler);
+
+// Started before the consumer runs so rebalances during the initial join are counted
+const lagMonitor = await startLagMonitor({
+  kafka,
+  consumer,
+  groupId: envConfig.kafka.groupId,
+  topics: [rawTopic, domainTopic],
+  intervalMs: envConfig.metrics.lagPollMs
+});
+shutdown.register("close", "lag", () => lagMonitor.stop());
+
+await runPartitionedConsumer(consumer, {
+  concurrency: envConfig.kafka.partitionConcurrency,
+  handle: (ctx) => {
+    // Continues the trace the message was produced in, or starts one
+    const handled = withSpan(`${ctx.topic} process`, {
+      kind: SpanKind.CONSUMER,
+      parent: traceContextFromHeaders(ctx.message.headers),
+      attributes: {
+        "messaging.system": "kafka",
+        "messaging.operation.type": "process",
+        "messaging.destination.name": ctx.topic,
+        "messaging.destination.partition.id": String(ctx.partition),
+        "messaging.kafka.offset": Number(ctx.message.offset),
+        "messaging.consumer.group.name": envConfig.kafka.groupId
+      }
+    }, () => handleMessage(ctx));
+    inFlightMessages.add(handled);
+    const settle = () => { inFlightMessages.delete(handled); };
+    handled.then(settle, settle);
+    return handled;
+  },
+  prepare: (topic, partition) => (forwarder && topic === rawTopic ? forwarder.claim(topic, partition) : Promise.resolve(undefined)),
+  commit: commitOffset,
+  release: (topic, partition) => forwarder?.release(topic, partition)
 });
 
+// ═══════════════════════════════════════════════════════════════════════════════════════════════
+// ADMIN API
+// ═══════════════════════════════════════════════════════════════════════════════════════════════
+
+const adminServer = envConfig.admin.token
+  ? startAdminServer(envConfig.admin.port, envConfig.admin.token, {
+      topics: () => [rawTopic, domainTopic].map((topic) => ({ topic, pausedBy: pauses.reasons(topic) })),
+      pause: (topic) => pauses.pause(topic, "admin"),
+      resume: (topic) => pauses.resume(topic, "admin"),
+      flush: async () => {
+        const pending = batch.pending;
+        await flushBatch();
+        return pending;
+      },
+      plugins: () => ({ normalizers: pluginStats.normalizer, upserters: pluginStats.upserter }),
+      reloadPlugins
+    })
+  : undefined;
+if (adminServer) shutdown.register("close", "admin", () => new Promise<void>((done) => adminServer.close(() => done())));
+else logger.info("ADMIN_TOKEN not set; admin API disabled");
+
 // ═══════════════════════════════════════════════════════════════════════════════════════════════
 // GRACEFUL SHUTDOWN
 // ═══════════════════════════════════════════════════════════════════════════════════════════════
 
-process.on("SIGINT", async () => {
-  try {
-    clearInterval(flushTimer);
-    await flushBatch();
-    if (inFlightUpserts.size) {
-      logger.info(`Waiting for ${inFlightUpserts.size} in-flight upserts...`);
-      await Promise.allSettled(inFlightUpserts);
-    }
-    await consumer.stop();
-    await consumer.disconnect();
-    await producer.disconnect();
-    await driver.close();
-  } finally {
-    process.exit(0);
+// Drain: stopping the consumer waits for running partition batches, which finish their
+// current message and commit what they handled; leftovers are then flushed.
+shutdown.register("drain", "consumer.stop", async () => {
+  clearInterval(flushTimer);
+  await consumer.stop();
+});
+shutdown.register("drain", "batch.flush", () => flushBatch());
+shutdown.register("drain", "upserts.settle", async () => {
+  if (inFlightUpserts.size) {
+    logger.info(`Waiting for ${inFlightUpserts.size} in-flight upserts...`);
+    await Promise.allSettled(inFlightUpserts);
   }
 });
+
+shutdown.report("bufferedEvents", () => batch.size);
+shutdown.report("inFlightUpserts", () => inFlightUpserts.size);
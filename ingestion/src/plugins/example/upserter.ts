@@ -1,6 +1,4 @@
-import { driver } from "../../core/neo4j.js";
-import { retry } from "../../core/util/retry.js";
-import type { DomainEvent, IUpserter } from "../../core/schemas.js";
+import type { DomainEvent, IUpserter, PluginContext } from "../../core/schemas.js";
 
 /**
  * @fileoverview Example upserter plugin for sensor data domain events.
@@ -12,16 +10,65 @@ import type { DomainEvent, IUpserter } from "../../core/schemas.js";
  */
 
 // ═══════════════════════════════════════════════════════════════════════════════════════════════
-// SESSION MANAGEMENT
+// LIFECYCLE
 // ═══════════════════════════════════════════════════════════════════════════════════════════════
 
+/** Uniqueness constraints the MERGE statements below rely on; idempotent, so reloads and restarts are safe */
+const CONSTRAINTS = [
+  "CREATE CONSTRAINT sensor_id IF NOT EXISTS FOR (s:Sensor) REQUIRE s.id IS UNIQUE",
+  "CREATE CONSTRAINT location_name IF NOT EXISTS FOR (l:Location) REQUIRE l.name IS UNIQUE",
+  "CREATE CONSTRAINT sensor_type_name IF NOT EXISTS FOR (t:SensorType) REQUIRE t.name IS UNIQUE",
+  "CREATE CONSTRAINT sensor_reading_fingerprint IF NOT EXISTS FOR (r:SensorReading) REQUIRE r.fingerprint IS UNIQUE"
+];
+
+/** Settles once the constraints exist; reset after a failure so the next caller tries again */
+let constraints: Promise<void> | null = null;
+/** Context of the loaded plugin version, kept for the health check */
+let pluginCtx: PluginContext | undefined;
+
 /**
- * Shared Neo4j session for all upsert operations.
- * Reusing a single session improves performance by avoiding the overhead
- * of session creation/destruction for each event. The session is managed
- * globally and closed during application shutdown.
+ * Creates the constraints once per plugin version. Concurrent callers share one attempt,
+ * and a failed attempt is forgotten so the next upsert or health check tries again.
  */
-const session = driver.session();
+function ensureConstraints(ctx: PluginContext): Promise<void> {
+  constraints ??= (async () => {
+    const session = ctx.storage.neo4j.session();
+    try {
+      for (const statement of CONSTRAINTS) await session.run(statement);
+    } finally {
+      await session.close();
+    }
+  })().catch((err) => {
+    constraints = null;
+    throw err;
+  });
+  return constraints;
+}
+
+/**
+ * Creates the constraints before any event is upserted. Neo4j may not be reachable yet at
+ * startup; rather than failing the load (and the service), the plugin then reports itself
+ * unhealthy until the constraints exist, and every upsert tries to create them first.
+ *
+ * @param ctx - Plugin context providing the Neo4j driver
+ */
+export async function init(ctx: PluginContext): Promise<void> {
+  pluginCtx = ctx;
+  try {
+    await ensureConstraints(ctx);
+  } catch (err) {
+    ctx.logger.warn({ err }, "Neo4j constraints not created yet; plugin unhealthy until they are");
+  }
+}
+
+/**
+ * Reports the plugin unhealthy while the constraints are missing, retrying their creation.
+ *
+ * @throws {Error} When the constraints cannot be created
+ */
+export async function healthCheck(): Promise<void> {
+  if (pluginCtx) await ensureConstraints(pluginCtx);
+}
 
 // ═══════════════════════════════════════════════════════════════════════════════════════════════
 // UPSERTER IMPLEMENTATION
@@ -50,18 +97,25 @@ const session = driver.session();
  * - Real-time location statistics and aggregations
  * - Comprehensive metadata tracking and timestamps
  * 
+ * Statements are not retried here: the pipeline retries a failed upsert as a whole,
+ * and retrying here as well would multiply the attempts and the delay. The statements
+ * MERGE, so a repeated upsert does not duplicate nodes or relationships.
+ *
  * @param ev - Validated SENSOR_READING domain event
- * @throws {Error} When Neo4j operations fail after retries
+ * @param ctx - Plugin context providing the Neo4j driver
+ * @throws {Error} When the constraints cannot be created or a Neo4j operation fails
  */
-const upsert: IUpserter = async (ev: DomainEvent): Promise<void> => {
-  const s = session;
-  
+const upsert: IUpserter = async (ev: DomainEvent, ctx: PluginContext): Promise<void> => {
+  await ensureConstraints(ctx);
+  // Sessions are cheap and not safe for concurrent use; open one per event
+  const s = ctx.storage.neo4j.session();
+
   try {
     // ═══════════════════════════════════════════════════════════════════════════════════════════
     // SENSOR ENTITY MANAGEMENT
     // ═══════════════════════════════════════════════════════════════════════════════════════════
     
-    await retry(() => s.run(`
+    await s.run(`
       MERGE (sensor:Sensor {id: $sensorId})
         ON CREATE SET 
           sensor.createdAt = timestamp(),
@@ -76,13 +130,13 @@ const upsert: IUpserter = async (ev: DomainEvent): Promise<void> => {
       value: ev.meta.value,
       unit: ev.meta.unit,
       sensorType: ev.meta.sensorType
-    }));
+    });
 
     // ═══════════════════════════════════════════════════════════════════════════════════════════
     // LOCATION ENTITY AND RELATIONSHIPS
     // ═══════════════════════════════════════════════════════════════════════════════════════════
 
-    await retry(() => s.run(`
+    await s.run(`
       MERGE (location:Location {name: $location})
         ON CREATE SET 
           location.createdAt = timestamp(),
@@ -97,13 +151,13 @@ const upsert: IUpserter = async (ev: DomainEvent): Promise<void> => {
     `, {
       location: ev.meta.location,
       sensorId: ev.meta.sensorId
-    }));
+    });
 
     // ═══════════════════════════════════════════════════════════════════════════════════════════
     // SENSOR TYPE CLASSIFICATION
     // ═══════════════════════════════════════════════════════════════════════════════════════════
 
-    await retry(() => s.run(`
+    await s.run(`
       MERGE (sensorType:SensorType {name: $sensorType})
         ON CREATE SET 
           sensorType.createdAt = timestamp(),
@@ -117,13 +171,13 @@ const upsert: IUpserter = async (ev: DomainEvent): Promise<void> => {
     `, {
       sensorType: ev.meta.sensorType,
       sensorId: ev.meta.sensorId
-    }));
+    });
 
     // ═══════════════════════════════════════════════════════════════════════════════════════════
     // CO-LOCATION RELATIONSHIP DETECTION
     // ═══════════════════════════════════════════════════════════════════════════════════════════
 
-    await retry(() => s.run(`
+    await s.run(`
       MATCH (thisSensor:Sensor {id: $sensorId})-[:LOCATED_AT]->(location:Location)
       MATCH (otherSensor:Sensor)-[:LOCATED_AT]->(location)
       WHERE thisSensor <> otherSensor
@@ -132,13 +186,13 @@ const upsert: IUpserter = async (ev: DomainEvent): Promise<void> => {
       SET colocated.lastUpdate = timestamp()
     `, {
       sensorId: ev.meta.sensorId
-    }));
+    });
 
     // ═══════════════════════════════════════════════════════════════════════════════════════════
     // SENSOR READING RECORD WITH DEDUPLICATION
     // ═══════════════════════════════════════════════════════════════════════════════════════════
 
-    await retry(() => s.run(`
+    await s.run(`
       MATCH (sensor:Sensor {id: $sensorId})
       MERGE (reading:SensorReading {fingerprint: $fingerprint})
         ON CREATE SET 
@@ -146,7 +200,8 @@ const upsert: IUpserter = async (ev: DomainEvent): Promise<void> => {
           reading.unit = $unit,
           reading.timestamp = timestamp(),
           reading.toolRunId = $toolRunId,
-          reading.createdAt = timestamp()
+          reading.createdAt = timestamp(),
+          reading += $lineage
         ON MATCH SET
           reading.lastSeen = timestamp(),
           reading.duplicateCount = COALESCE(reading.duplicateCount, 0) + 1
@@ -156,14 +211,16 @@ const upsert: IUpserter = async (ev: DomainEvent): Promise<void> => {
       fingerprint: ev.event.fingerprint,
       value: ev.meta.value,
       unit: ev.meta.unit,
-      toolRunId: ev.meta.toolRunId
-    }));
+      toolRunId: ev.meta.toolRunId,
+      // Where the first copy of the reading came from; empty for events without lineage headers
+      lineage: ctx.lineage ? { ...ctx.lineage } : {}
+    });
 
     // ═══════════════════════════════════════════════════════════════════════════════════════════
     // LOCATION STATISTICS AND AGGREGATIONS
     // ═══════════════════════════════════════════════════════════════════════════════════════════
 
-    await retry(() => s.run(`
+    await s.run(`
       MATCH (location:Location {name: $location})<-[:LOCATED_AT]-(sensors:Sensor)
       WITH location, 
            count(sensors) as totalSensors,
@@ -174,10 +231,10 @@ const upsert: IUpserter = async (ev: DomainEvent): Promise<void> => {
         location.lastUpdate = timestamp()
     `, {
       location: ev.meta.location
-    }));
+    });
 
   } finally {
-    // Session is managed globally and closed during application shutdown
+    await s.close();
   }
 };
 